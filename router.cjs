@@ -0,0 +1,2672 @@
+// Generated from src/router.js by scripts/build.js - edit the source and run `npm run build`.
+/**
+ * VanillaJS Router - Enterprise-grade hash-based routing
+ *
+ * This router provides Vue Router-style functionality in pure vanilla JavaScript.
+ * It's designed for production use with proper error handling, memory management,
+ * and support for complex navigation scenarios.
+ *
+ * COMPLETELY UI-AGNOSTIC - No DOM dependencies or assumptions about HTML structure.
+ *
+ * This is the single source of the router. scripts/build.js turns it into the
+ * IIFE (router.js), ES module (router.esm.js) and CommonJS (router.cjs) builds.
+ */
+
+// ============================
+// PARAMETER PROCESSING UTILITIES
+// ============================
+
+/**
+ * Converts URLSearchParams to an object where each key maps to an array of values.
+ * This ensures consistent handling of parameters, whether they appear once or multiple times.
+ *
+ * Example: "category=books&category=electronics&sort=price"
+ * Returns: { category: ["books", "electronics"], sort: ["price"] }
+ */
+const paramsToObj = (params) => {
+    const out = {};
+    for (const [k, v] of params) {
+        // Use nullish coalescing to create array if key doesn't exist
+        (out[k] ??= []).push(v);
+    }
+    return out;
+};
+
+/**
+ * Converts string values to their appropriate JavaScript types.
+ * This makes working with URL parameters much more intuitive.
+ */
+const coerceValue = (value) => {
+    // Handle explicit boolean strings
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    // Handle explicit null/undefined strings
+    if (value === 'null') return null;
+    if (value === 'undefined') return undefined;
+
+    // Try to convert to number (handles both integers and floats)
+    const num = Number(value);
+    if (!Number.isNaN(num) && value.trim() !== '') return num;
+
+    // Return as string if no other type matches
+    return value;
+};
+
+/**
+ * Applies type coercion to all parameter arrays.
+ * Each value in each array gets converted to its appropriate type.
+ */
+const coerceParams = (params) => {
+    const coerced = {};
+    for (const [key, values] of Object.entries(params)) {
+        coerced[key] = values.map(coerceValue);
+    }
+    return coerced;
+};
+
+/**
+ * Ways to serialize array values into a query string.
+ * Each format turns a key and its string values into [key, value] pairs.
+ *
+ * Example: { tags: ["a", "b"] }
+ * - repeat: "tags=a&tags=b" (the inverse of paramsToObj)
+ * - bracket: "tags[]=a&tags[]=b"
+ * - comma: "tags=a,b"
+ */
+const queryFormats = Object.freeze({
+    repeat  : (key, values) => values.map(value => [key, value]),
+    bracket : (key, values) => values.map(value => [key + '[]', value]),
+    comma   : (key, values) => values.length ? [[key, values.join(',')]] : []
+});
+
+/**
+ * Looks up a query format by name; custom format functions are used as-is.
+ */
+const getQueryFormat = (format = 'repeat') => {
+    if (typeof format === 'function') return format;
+    if (!Object.hasOwn(queryFormats, format)) throw new Error(`Unknown query format "${format}"`);
+    return queryFormats[format];
+};
+
+/**
+ * Checks whether a value is a plain object (and not an array, date or other instance).
+ */
+const isPlainObject = (value) => {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Serializes URLSearchParams, leaving brackets and commas readable.
+ * Both parse back to the same values, so "tags[]=a" beats "tags%5B%5D=a".
+ */
+const toQueryString = (search) => {
+    return search.toString().replace(/%5B/gi, '[').replace(/%5D/gi, ']').replace(/%2C/gi, ',');
+};
+
+/**
+ * Flattens one parameter into [key, value] pairs.
+ * Arrays use the given format, nested objects use bracket keys and
+ * undefined values (also inside arrays and objects) are skipped.
+ *
+ * Example: flattenParam("filter", { price: { min: 10 } }, queryFormats.repeat)
+ * Returns: [["filter[price][min]", "10"]]
+ */
+const flattenParam = (key, value, format) => {
+    if (value === undefined) return [];
+
+    if (Array.isArray(value)) {
+        const items = value.filter(item => item !== undefined);
+
+        // Objects inside arrays can't be joined, so they are indexed instead
+        if (items.some(isPlainObject)) {
+            return items.flatMap((item, index) => flattenParam(`${key}[${index}]`, item, format));
+        }
+        return format(key, items.map(String));
+    }
+
+    if (isPlainObject(value)) {
+        return Object.entries(value).flatMap(([name, item]) => flattenParam(`${key}[${name}]`, item, format));
+    }
+
+    return [[key, String(value)]];
+};
+
+/**
+ * Converts a parameter object back into a query string.
+ * With the default "repeat" format this is the inverse of paramsToObj: array values become repeated keys.
+ * Undefined values are skipped, nested objects use bracket keys, everything else is converted with String().
+ *
+ * Example: { category: ["books", "electronics"], sort: "price" }
+ * Returns: "category=books&category=electronics&sort=price"
+ */
+const stringifyParams = (params = {}, format = 'repeat') => {
+    const serialize = getQueryFormat(format);
+    const search    = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(params)) {
+        flattenParam(key, value, serialize).forEach(([name, item]) => search.append(name, item));
+    }
+    return toQueryString(search);
+};
+
+/**
+ * Patches parsed parameters (as returned by paramsToObj) and serializes the result.
+ * A patched key replaces every existing key it produced before ("tags", "tags[]",
+ * "filter[price]"...), undefined removes it. Existing keys keep their position and
+ * new keys are appended in patch order, so the query string doesn't reshuffle.
+ *
+ * Example: mergeParams({ q: ["shoes"], page: ["3"], size: ["42"] }, { page: undefined, color: "red" })
+ * Returns: "q=shoes&size=42&color=red"
+ */
+const mergeParams = (current = {}, patch = {}, format = 'repeat') => {
+    const serialize = getQueryFormat(format);
+    const search    = new URLSearchParams();
+    const patched   = new Set();
+
+    const ownerOf = (name) => Object.keys(patch).find(key => name === key || name.startsWith(key + '['));
+    const append  = (key) => {
+        patched.add(key);
+        flattenParam(key, patch[key], serialize).forEach(([name, item]) => search.append(name, item));
+    };
+
+    for (const [name, values] of Object.entries(current)) {
+        const owner = ownerOf(name);
+        if (owner === undefined) {
+            values.forEach(value => search.append(name, value));
+        } else if (!patched.has(owner)) {
+            append(owner);
+        }
+    }
+
+    Object.keys(patch).filter(key => !patched.has(key)).forEach(append);
+    return toQueryString(search);
+};
+
+// ============================
+// PARAMETER SCHEMAS
+// ============================
+
+/**
+ * Creates a parameter schema from a parser for a single raw string value.
+ * The parser throws an Error describing what was expected when the value is invalid.
+ *
+ * Options:
+ * - optional: A missing value is left out instead of being reported as invalid
+ * - default: Value used when the parameter is missing (implies optional)
+ */
+const createParamSchema = (type, parseValue, options = {}) => ({
+    type,
+    parseValue,
+    multiple : false,
+    optional : Boolean(options.optional) || options.default !== undefined,
+    default  : options.default
+});
+
+/**
+ * Throws the "expected ..." error used by the built-in parameter types.
+ */
+const invalidValue = (expected) => {
+    throw new Error(`expected ${expected}`);
+};
+
+/**
+ * Built-in parameter schema types for the "params" field of route records.
+ * Unlike coerceValue, every type only accepts values it can represent exactly,
+ * so "007" stays a string unless the schema asks for an int.
+ *
+ * Example: { path: 'users/:id', params: { id: param.int(), tab: param.enum(['posts', 'likes'], { default: 'posts' }) } }
+ */
+const param = Object.freeze({
+    string  : (options) => createParamSchema('string', (raw) => raw, options),
+
+    int     : (options) => createParamSchema('int', (raw) => {
+        return /^[-+]?\d+$/.test(raw) ? Number.parseInt(raw, 10) : invalidValue('an integer');
+    }, options),
+
+    float   : (options) => createParamSchema('float', (raw) => {
+        return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(raw) ? Number.parseFloat(raw) : invalidValue('a number');
+    }, options),
+
+    boolean : (options) => createParamSchema('boolean', (raw) => {
+        if (raw === 'true' || raw === '1')  return true;
+        if (raw === 'false' || raw === '0') return false;
+        return invalidValue('a boolean');
+    }, options),
+
+    enum    : (values, options) => createParamSchema('enum', (raw) => {
+        return values.includes(raw) ? raw : invalidValue('one of ' + values.join(', '));
+    }, options),
+
+    date    : (options) => createParamSchema('date', (raw) => {
+        const date = new Date(raw);
+        return raw.trim() !== '' && !Number.isNaN(date.getTime()) ? date : invalidValue('a date');
+    }, options),
+
+    arrayOf : (item, options) => ({
+        ...createParamSchema(item.type + '[]', item.parseValue, options),
+        multiple : true
+    }),
+
+    custom  : (parseValue, options) => createParamSchema('custom', parseValue, options)
+});
+
+/**
+ * Normalizes a schema shorthand: a type name ("int") or a parser function.
+ */
+const toParamSchema = (schema) => {
+    if (typeof schema === 'function') return param.custom(schema);
+    if (typeof schema === 'string' && schema !== 'enum' && schema !== 'arrayOf' && schema in param) {
+        return param[schema]();
+    }
+    return schema;
+};
+
+/**
+ * Identity helper that exists for type inference of a record's "params" schema.
+ */
+const defineRoute = (record) => record;
+
+/**
+ * Validates a route against the "params" schemas of its matched records.
+ * Parent schemas apply to children, a child may override a key.
+ * Each key is looked up in the path params, then the router query, then the page query.
+ *
+ * Values of schema keys in the typed views (pathParamsTyped, paramsTyped, queryTyped)
+ * are re-parsed with the schema instead of coerceValue; invalid ones stay strings.
+ *
+ * Sets on the route:
+ * - validated: Parsed values for every schema key (defaults filled in)
+ * - paramErrors: { key, value, message } for every missing or invalid key
+ */
+const applyParamSchemas = (route) => {
+    const schemas = Object.assign({}, ...route.matched.map(record => record.params));
+
+    route.validated   = {};
+    route.paramErrors = [];
+
+    for (const [key, shorthand] of Object.entries(schemas)) {
+        const schema = toParamSchema(shorthand);
+        if (!schema || typeof schema.parseValue !== 'function') continue;
+
+        const retype = (values) => values.map(value => {
+            try {
+                return schema.parseValue(value);
+            } catch {
+                return value;
+            }
+        });
+
+        let raw;
+        if (Object.hasOwn(route.pathParams, key)) {
+            raw = [route.pathParams[key]];
+            route.pathParamsTyped[key] = retype(raw)[0];
+        } else if (Object.hasOwn(route.params, key)) {
+            raw = route.params[key];
+            route.paramsTyped[key] = retype(raw);
+        } else if (Object.hasOwn(route.query, key)) {
+            raw = route.query[key];
+            route.queryTyped[key] = retype(raw);
+        }
+
+        if (!raw) {
+            if (schema.default !== undefined) route.validated[key] = schema.default;
+            else if (!schema.optional) route.paramErrors.push({ key, value: undefined, message: 'is required' });
+            continue;
+        }
+
+        try {
+            route.validated[key] = schema.multiple
+                ? raw.map(value => schema.parseValue(value))
+                : schema.parseValue(raw[0]);
+        } catch (error) {
+            route.paramErrors.push({ key, value: schema.multiple ? raw : raw[0], message: error.message });
+        }
+    }
+
+    return route;
+};
+
+/**
+ * Decides what happens to a navigation whose route failed schema validation.
+ * The closest matched record with an "onInvalidParams" wins:
+ * - a path string or location object redirects there
+ * - a function (to, errors) may return a location, false or an Error
+ * Without one the navigation is aborted with an Error carrying the "errors" list.
+ */
+const invalidParamsResult = (route) => {
+    const errors  = route.paramErrors;
+    const error   = Object.assign(
+        new Error('Invalid route params: ' + errors.map(({ key, message }) => `${key} ${message}`).join(', ')),
+        { errors }
+    );
+    const handler = [...route.matched].reverse()
+        .map(record => record.onInvalidParams)
+        .find(value => value !== undefined);
+
+    const value = typeof handler === 'function' ? handler(route, errors) : handler;
+    return toGuardResult(value) ?? { type: 'abort', error };
+};
+
+// ============================
+// ROUTE MATCHING UTILITIES
+// ============================
+
+/**
+ * Normalizes a route path by removing the #!/ prefix and leading/trailing slashes.
+ *
+ * Example: "#!/users/42/" → "users/42"
+ */
+const normalizePath = (path = '') => {
+    return String(path).replace(/^#!?/, '').replace(/^\/+|\/+$/g, '');
+};
+
+/**
+ * Escapes a static path segment so it can be embedded in a regular expression.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a route pattern into a regular expression and its parameter names.
+ * Supports dynamic segments (:id), optional segments (:lang?) and wildcards (*).
+ * A wildcard captures the rest of the path under the "pathMatch" key.
+ *
+ * Example: "users/:id/posts/:postId"
+ * Returns: { regex: /^\/users\/([^/]+)\/posts\/([^/]+)\/?$/, keys: ["id", "postId"] }
+ */
+const compilePattern = (pattern) => {
+    const keys   = [];
+    let   source = '';
+
+    for (const segment of normalizePath(pattern).split('/').filter(Boolean)) {
+        // Wildcard - matches everything that is left, including nothing
+        if (segment === '*') {
+            keys.push('pathMatch');
+            source += '(?:/(.*))?';
+            continue;
+        }
+
+        // Dynamic segment, optionally marked as optional with a trailing "?"
+        const dynamic = segment.match(/^:(\w+)(\?)?$/);
+        if (dynamic) {
+            keys.push(dynamic[1]);
+            source += dynamic[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+            continue;
+        }
+
+        // Static segment
+        source += '/' + escapeRegExp(segment);
+    }
+
+    return { regex: new RegExp('^' + source + '/?$'), keys };
+};
+
+/**
+ * Decodes a captured path value, leaving malformed escape sequences untouched.
+ */
+const decodeSegment = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Builds a concrete path from a route pattern by filling in its dynamic segments.
+ * Values are URI-encoded; wildcard values keep their slashes.
+ * Throws when a required segment has no value.
+ *
+ * Example: buildPath("users/:id/:tab?", { id: 42 })
+ * Returns: { path: "users/42", used: ["id", "tab"] }
+ */
+const buildPath = (pattern, params = {}) => {
+    const used     = [];
+    const segments = [];
+
+    for (const segment of normalizePath(pattern).split('/').filter(Boolean)) {
+        // Wildcard - encode each piece but keep the separators
+        if (segment === '*') {
+            used.push('pathMatch');
+            const rest = params.pathMatch;
+            if (rest !== undefined && rest !== '') {
+                segments.push(String(rest).split('/').map(encodeURIComponent).join('/'));
+            }
+            continue;
+        }
+
+        // Dynamic segment
+        const dynamic = segment.match(/^:(\w+)(\?)?$/);
+        if (dynamic) {
+            const [, key, optional] = dynamic;
+            const value = Array.isArray(params[key]) ? params[key][0] : params[key];
+            used.push(key);
+
+            if (value === undefined || value === '') {
+                if (optional) continue;
+                throw new Error(`Missing required param "${key}" for route "${pattern}"`);
+            }
+
+            segments.push(encodeURIComponent(String(value)));
+            continue;
+        }
+
+        // Static segment
+        segments.push(segment);
+    }
+
+    return { path: segments.join('/'), used };
+};
+
+/**
+ * Joins a parent pattern and a child pattern into a single pattern.
+ *
+ * Example: joinPaths("settings", "profile") → "settings/profile"
+ */
+const joinPaths = (parent, child) => {
+    return [normalizePath(parent), normalizePath(child)].filter(Boolean).join('/');
+};
+
+/**
+ * Compiles a (possibly nested) array of route records into a flat list of matchers.
+ * Child paths are relative to their parent unless they start with "/".
+ * Children are listed before their parent so a default child ('') wins over the parent.
+ * Every "alias" of a record gets its own matcher (children included) after the main path.
+ *
+ * Each matcher carries:
+ * - record: The route record itself
+ * - chain: Records from the root down to this record
+ * - pattern: The full path pattern including parent segments
+ * - isAlias: Whether the pattern comes from an alias (of this record or an ancestor)
+ * - meta: The "meta" fields of the chain merged from parent to child (child keys win)
+ * - regex/keys: The compiled pattern (see compilePattern)
+ */
+const compileRoutes = (records = [], parent = null) => {
+    const matchers = [];
+
+    for (const record of records) {
+        if (!record || typeof record.path !== 'string') continue;
+
+        const chain = parent ? [...parent.chain, record] : [record];
+        const meta  = Object.assign({}, ...chain.map(link => link.meta));
+        const paths = [record.path, ...[].concat(record.alias ?? [])]
+            .filter(path => typeof path === 'string');
+
+        paths.forEach((path, index) => {
+            const pattern = parent && !path.startsWith('/')
+                ? joinPaths(parent.pattern, path)
+                : normalizePath(path);
+            const isAlias = index > 0 || Boolean(parent?.isAlias);
+
+            if (Array.isArray(record.children)) {
+                matchers.push(...compileRoutes(record.children, { pattern, chain, isAlias }));
+            }
+
+            matchers.push({ record, chain, pattern, isAlias, meta, ...compilePattern(pattern) });
+        });
+    }
+
+    return matchers;
+};
+
+/**
+ * Finds the first route record matching a path.
+ * Declaration order wins, so more specific routes should be declared first.
+ *
+ * Returns an object with:
+ * - matched: Matched records from root to leaf (empty when nothing matches)
+ * - record: The matched leaf record, or null
+ * - meta: Meta fields merged from parent to child (a copy, so guards may add to it)
+ * - pathParams: Raw (decoded) dynamic segment values
+ * - pathParamsTyped: Type-coerced dynamic segment values
+ */
+const matchRoute = (matchers, path) => {
+    const target = '/' + normalizePath(path);
+
+    for (const { record, chain, meta, regex, keys } of matchers) {
+        const result = regex.exec(target);
+        if (!result) continue;
+
+        const pathParams = {};
+        keys.forEach((key, index) => {
+            const value = result[index + 1];
+            if (value !== undefined) pathParams[key] = decodeSegment(value);
+        });
+
+        const pathParamsTyped = {};
+        for (const [key, value] of Object.entries(pathParams)) {
+            pathParamsTyped[key] = coerceValue(value);
+        }
+
+        return { matched: [...chain], record, meta: { ...meta }, pathParams, pathParamsTyped };
+    }
+
+    return { matched: [], record: null, meta: {}, pathParams: {}, pathParamsTyped: {} };
+};
+
+// ============================
+// GUARD UTILITIES
+// ============================
+
+/**
+ * Maximum number of guard redirects followed by a single navigation.
+ * Protects against guards that keep redirecting to each other.
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Checks whether a guard result describes a navigation target (path string or location object).
+ */
+const isRouteLocation = (value) => {
+    if (typeof value === 'string') return true;
+    return Boolean(value) && typeof value === 'object' && ('path' in value || 'name' in value);
+};
+
+/**
+ * Calls a guard and resolves with the value it decided on.
+ *
+ * Guards declaring a third parameter use the next() style: navigation waits until
+ * next() is called, and next(value) is treated like returning value.
+ * All other guards simply return (or resolve) their decision.
+ */
+const callGuard = (guard, to, from) => {
+    if (guard.length < 3) {
+        return Promise.resolve(guard(to, from));
+    }
+
+    return new Promise((resolve, reject) => {
+        const next = (value) => resolve(value);
+        Promise.resolve(guard(to, from, next)).catch(reject);
+    });
+};
+
+/**
+ * Interprets the value a guard decided on.
+ *
+ * Returns undefined to continue with the next guard, or a decisive result:
+ * - { type: 'abort', error }: false or an Error cancels navigation
+ * - { type: 'redirect', to }: A path string or location object redirects
+ */
+const toGuardResult = (value) => {
+    if (value === false)         return { type: 'abort', error: null };
+    if (value instanceof Error)  return { type: 'abort', error: value };
+    if (isRouteLocation(value))  return { type: 'redirect', to: value };
+    return undefined;
+};
+
+/**
+ * Creates a global guard driven by route meta fields:
+ * - meta.requiresAuth: Only authenticated users may enter
+ * - meta.roles: Only users with at least one of these roles may enter (implies requiresAuth)
+ *
+ * Options:
+ * - isAuthenticated(to): Whether the user is logged in (may return a promise)
+ * - getRoles(to): The user's roles or permissions (may return a promise), needed for meta.roles
+ * - loginRoute: Where guests are sent, with the requested URL in the query. Default: 'login'
+ * - redirectParam: Query key carrying the requested URL. Default: 'redirect'
+ * - forbidden: What happens to users lacking a role: false aborts (default),
+ *   or a path / location object to redirect to
+ *
+ * Example: router.beforeEach(createAuthGuard({ isAuthenticated: () => Boolean(session.user) }))
+ */
+const createAuthGuard = (options = {}) => {
+    const {
+        isAuthenticated = () => false,
+        getRoles        = () => [],
+        loginRoute      = 'login',
+        redirectParam   = 'redirect',
+        forbidden       = false
+    } = options;
+
+    return async (to) => {
+        const roles = [].concat(to.meta?.roles ?? []);
+        if (!to.meta?.requiresAuth && !roles.length) return undefined;
+
+        if (!await isAuthenticated(to)) {
+            const login = typeof loginRoute === 'string' ? { path: loginRoute } : loginRoute;
+            return { ...login, query: { ...login.query, [redirectParam]: to.fullPath } };
+        }
+
+        if (roles.length) {
+            const granted = [].concat(await getRoles(to) ?? []);
+            if (!roles.some(role => granted.includes(role))) return forbidden;
+        }
+        return undefined;
+    };
+};
+
+// ============================
+// NAVIGATION FAILURES
+// ============================
+
+/**
+ * Reasons a navigation can fail, used as the "type" of navigation failures.
+ * - aborted: A guard returned false or an Error, or threw
+ * - cancelled: The navigation was superseded before it could finish
+ * - duplicated: The target is the route we're already on
+ * - redirected: A guard sent the navigation somewhere else (which did succeed)
+ */
+const NavigationFailureType = Object.freeze({
+    aborted    : 'aborted',
+    cancelled  : 'cancelled',
+    duplicated : 'duplicated',
+    redirected : 'redirected'
+});
+
+/**
+ * Marks errors created by createNavigationFailure.
+ */
+const NAVIGATION_FAILURE = Symbol('navigationFailure');
+
+/**
+ * Creates a navigation failure: an Error carrying the failure type,
+ * the routes involved and the original error (if any).
+ */
+const createNavigationFailure = (type, from, to, error = null) => {
+    const messages = {
+        aborted    : `Navigation to "${to.fullPath}" was aborted`,
+        cancelled  : `Navigation to "${to.fullPath}" was cancelled`,
+        duplicated : `Already at "${to.fullPath}"`,
+        redirected : `Navigation to "${to.fullPath}" was redirected`
+    };
+
+    return Object.assign(new Error(error?.message ?? messages[type]), {
+        [NAVIGATION_FAILURE] : true,
+        type,
+        from,
+        to,
+        error
+    });
+};
+
+/**
+ * Checks whether a push()/replace() result is a navigation failure,
+ * optionally of a given type (or any of several types).
+ *
+ * Example: isNavigationFailure(result, NavigationFailureType.aborted)
+ */
+const isNavigationFailure = (value, type) => {
+    if (!value || value[NAVIGATION_FAILURE] !== true) return false;
+    return type === undefined || [].concat(type).includes(value.type);
+};
+
+// ============================
+// ROUTER EVENTS
+// ============================
+
+/**
+ * Lifecycle events delivered by router.on(), roughly in the order a navigation emits them.
+ * Every event is an object with { type, timestamp } and the fields below.
+ *
+ * Navigation events also carry { navigationId, from, to, duration }, where duration is
+ * the time in ms since navigationStart:
+ * - navigationStart: Guards are about to run for a new navigation
+ * - redirect: { source, redirectTo } A route record ('record') or a guard ('guard')
+ *   sent the navigation to the router-relative URL redirectTo
+ * - guardStart: { guardIndex, guardCount } A guard is called
+ * - guardEnd: { guardIndex, guardCount, result, error } A guard decided:
+ *   result is 'next', 'abort', 'redirect' or 'cancelled'
+ * - loadStart: Lazy components and route data start loading
+ * - navigationEnd: The route changed
+ * - navigationError: { error } A guard or loader aborted the navigation (error is null
+ *   when a guard returned false), or redirects looped
+ * - navigationCancelled: A newer navigation took over
+ *
+ * Scroll events:
+ * - scrollRestore: { route, position, left, top } The router scrolled to a position
+ */
+const ROUTER_EVENTS = Object.freeze([
+    'navigationStart',
+    'redirect',
+    'guardStart',
+    'guardEnd',
+    'loadStart',
+    'navigationEnd',
+    'navigationError',
+    'navigationCancelled',
+    'scrollRestore'
+]);
+
+/**
+ * The onStatus() message and type describing an event, or null for events
+ * that had no status message before the event system existed.
+ */
+const statusOf = (event) => {
+    switch (event.type) {
+        case 'navigationStart' : return ['🔄 Navigating...', 'loading'];
+        case 'loadStart'       : return ['⏳ Loading...', 'loading'];
+        case 'navigationEnd'   : return ['✅ Navigation complete', 'success'];
+        case 'navigationError' : return ['❌ ' + (event.error?.message ?? 'Navigation aborted'), 'error'];
+        default                : return null;
+    }
+};
+
+// ============================
+// ENTRY PERSISTENCE
+// ============================
+
+/**
+ * Persistence adapter backed by a Web Storage object (sessionStorage by default).
+ * sessionStorage survives reloads of the tab but not closing it, which matches
+ * the lifetime of history entries.
+ *
+ * Every adapter provides:
+ * - load(): The saved data object, or null
+ * - save(data): Store the data object
+ *
+ * Storage errors (quota exceeded, storage disabled) are logged and ignored.
+ */
+const createStoragePersistence = (storage, storageKey = 'vanilla-router') => ({
+    load : () => {
+        try {
+            return JSON.parse(storage?.getItem(storageKey) ?? 'null');
+        } catch (error) {
+            console.error('Persistence load error:', error);
+            return null;
+        }
+    },
+    save : (data) => {
+        try {
+            storage?.setItem(storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Persistence save error:', error);
+        }
+    }
+});
+
+/**
+ * Reads the page's sessionStorage, or null where there is none.
+ * Browsers throw from the getter when storage is blocked (e.g. cookies disabled
+ * in a third-party frame); the entries then live in memory only.
+ */
+const readSessionStorage = (globalObj) => {
+    try {
+        return globalObj.sessionStorage ?? null;
+    } catch (error) {
+        console.error('Persistence load error:', error);
+        return null;
+    }
+};
+
+/**
+ * Keeps data for each history entry (its scroll position and state), keyed by entry key.
+ * After every change the least recently updated entries are evicted until at most
+ * maxEntries remain and the serialized data fits in maxSize characters; the rest
+ * is handed to the persistence adapter, if there is one.
+ *
+ * Entries look like { scroll, state, updatedAt }.
+ */
+const createEntryStore = (persistence = null, { maxEntries = 50, maxSize = 64 * 1024 } = {}) => {
+    const loaded  = persistence?.load();
+    const entries = new Map(loaded && typeof loaded === 'object' ? Object.entries(loaded) : []);
+
+    const save = () => {
+        const oldest = [...entries.keys()]
+            .sort((a, b) => (entries.get(a).updatedAt ?? 0) - (entries.get(b).updatedAt ?? 0));
+
+        while (entries.size > maxEntries) entries.delete(oldest.shift());
+        if (!persistence) return;
+
+        let data = Object.fromEntries(entries);
+        while (entries.size && JSON.stringify(data).length > maxSize) {
+            entries.delete(oldest.shift());
+            data = Object.fromEntries(entries);
+        }
+        persistence.save(data);
+    };
+
+    return {
+        get    : (key) => entries.get(key),
+        update : (key, patch) => {
+            entries.set(key, { ...entries.get(key), ...patch, updatedAt: Date.now() });
+            save();
+        },
+        // Removes one field (e.g. 'scroll') from every entry
+        clear  : (field) => {
+            for (const [key, entry] of entries) {
+                const { [field]: removed, ...rest } = entry;
+                entries.set(key, rest);
+            }
+            save();
+        },
+        // Drops the in-memory copy only; persisted data stays for the next page load
+        forget : () => entries.clear()
+    };
+};
+
+// ============================
+// HISTORY ADAPTERS
+// ============================
+
+/**
+ * History adapters hide how the URL is stored so the router core only deals
+ * with router-relative URLs such as "users/42?tab=posts".
+ *
+ * Every adapter provides:
+ * - mode: The adapter name ('hash', 'history' or 'memory')
+ * - getUrl(): The current router-relative URL, or null when the URL belongs to
+ *   another router (see the hash adapter's namespace)
+ * - getSearch(url): The page query string that feeds route.query
+ * - getAnchor(): The element id when the URL is a native in-page anchor, else null
+ * - getKey(): A key that identifies the current history entry (see createEntryKey)
+ * - getState(): The state the current entry was pushed with, or null
+ * - createHref(url): The href that points at a router-relative URL
+ * - parseHref(href): The router-relative URL a link points at, or null for other links
+ * - push(url, state) / replace(url, state): Write a new URL with the entry's state,
+ *   adding or replacing a history entry
+ * - setState(state): Replace the state of the current entry, keeping its URL and key
+ * - go(delta): Move through the history entries
+ * - listen(callback): Subscribe to external URL changes, returns an unsubscribe function
+ */
+
+/**
+ * Creates a key for a new history entry. Keys survive reloads (they live in
+ * history.state), so the time prefix keeps them unique across page loads and
+ * the random part keeps routers sharing a page from handing out the same key.
+ */
+const createEntryKey = () => Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+
+/**
+ * Reads the key of the current browser history entry.
+ * Entries created by the browser (typed URLs, plain hash links) have no key yet,
+ * so they are tagged on first read.
+ */
+const readEntryKey = (globalObj) => {
+    const state = globalObj.history?.state;
+    if (state?.key) return state.key;
+
+    const key = createEntryKey();
+    globalObj.history?.replaceState?.({ ...(typeof state === 'object' ? state : {}), key }, '');
+    return key;
+};
+
+/**
+ * Reads the state the current browser history entry was pushed with.
+ * It lives next to the entry key in history.state, so the browser restores it on back/forward.
+ */
+const readEntryState = (globalObj) => globalObj.history?.state?.state ?? null;
+
+/**
+ * Hash-bang adapter - URLs look like /page#!/users/42?tab=posts.
+ * The page query string (?key=value before the hash) is exposed as route.query.
+ *
+ * A namespace lets several routers share the page: a "panel" router uses
+ * /page#panel!/details and ignores every other hash, while the default router
+ * ignores namespaced hashes (#name!/...). Whichever router navigated last owns the URL.
+ */
+const createHashHistory = (globalObj, namespace = '') => {
+    const prefix = '#' + namespace + '!/';
+
+    // Namespaced routers own their prefix only, the default router owns everything else
+    const owns  = (hash) => namespace
+        ? hash === '#' + namespace + '!' || hash.startsWith(prefix)
+        : !/^#[^!/]+!\//.test(hash);
+    const toUrl = (hash) => namespace ? hash.slice(prefix.length) : hash.replace(/^#!\/?/, '');
+
+    // Key of the entry last written or reported, so listen() reports every entry once
+    let lastKey = null;
+
+    return {
+        mode       : 'hash',
+        getUrl     : () => {
+            const hash = globalObj.location.hash;
+            return owns(hash) ? toUrl(hash) : null;
+        },
+        getSearch  : () => globalObj.location.search.slice(1),
+        getAnchor  : () => {
+            // In-page anchors are left to the default router
+            const hash = globalObj.location.hash;
+            return hash && !namespace && !hash.startsWith('#!/') ? hash.slice(1) : null;
+        },
+        getKey     : () => readEntryKey(globalObj),
+        getState   : () => readEntryState(globalObj),
+        createHref : (url) => prefix + url,
+        parseHref  : (href) => {
+            const url  = new URL(href, globalObj.location.href);
+            const here = globalObj.location;
+
+            // Only links to this router's hashes on this very page are routes
+            if (url.origin !== here.origin || url.pathname !== here.pathname || url.search !== here.search) {
+                return null;
+            }
+            return url.hash.startsWith(namespace ? prefix : '#!') ? toUrl(url.hash) : null;
+        },
+        push       : (url, state = null) => {
+            // Setting the hash adds an entry without state, so tag it right away
+            lastKey = createEntryKey();
+            globalObj.location.hash = prefix + url;
+            globalObj.history?.replaceState?.({ key: lastKey, state }, '');
+        },
+        replace    : (url, state = null) => {
+            // The replaced entry keeps its key
+            const key     = readEntryKey(globalObj);
+            const baseUrl = globalObj.location.href.replace(/#.*$/, '');
+            lastKey = key;
+            globalObj.location.replace(baseUrl + prefix + url);
+            globalObj.history?.replaceState?.({ key, state }, '');
+        },
+        setState   : (state) => {
+            globalObj.history?.replaceState?.({ key: readEntryKey(globalObj), state }, '');
+        },
+        go         : (delta) => globalObj.history.go(delta),
+        listen     : (callback) => {
+            // Steps between two entries with the same hash (e.g. one rolled back by a guard)
+            // only fire popstate, other steps fire both events: report each entry once
+            lastKey ??= globalObj.history?.state?.key ?? null;
+            const notify = () => {
+                const key = readEntryKey(globalObj);
+                if (key === lastKey) return;
+
+                lastKey = key;
+                callback();
+            };
+
+            globalObj.addEventListener('hashchange', notify);
+            globalObj.addEventListener('popstate', notify);
+            return () => {
+                globalObj.removeEventListener('hashchange', notify);
+                globalObj.removeEventListener('popstate', notify);
+            };
+        }
+    };
+};
+
+/**
+ * History API adapter - URLs look like /base/users/42?tab=posts.
+ * Uses pushState/popstate, so the server must serve the app for every route.
+ * The router owns the only query string, so it feeds both route.params and route.query.
+ */
+const createWebHistory = (globalObj, base = '') => {
+    const root = normalizePath(base) ? '/' + normalizePath(base) : '';
+
+    return {
+        mode       : 'history',
+        getUrl     : () => {
+            const { pathname, search } = globalObj.location;
+            const inBase = root && (pathname === root || pathname.startsWith(root + '/'));
+            return normalizePath(inBase ? pathname.slice(root.length) : pathname) + search;
+        },
+        getSearch  : (url) => url.split('?')[1] || '',
+        getAnchor  : () => null,
+        getKey     : () => readEntryKey(globalObj),
+        getState   : () => readEntryState(globalObj),
+        createHref : (url) => root + '/' + url,
+        parseHref  : (href) => {
+            const url  = new URL(href, globalObj.location.href);
+            const here = globalObj.location;
+
+            if (url.origin !== here.origin) return null;
+            if (root && url.pathname !== root && !url.pathname.startsWith(root + '/')) return null;
+
+            // Same page with a #fragment - leave in-page anchors to the browser
+            if (url.hash && url.pathname === here.pathname && url.search === here.search) return null;
+
+            return normalizePath(url.pathname.slice(root.length)) + url.search;
+        },
+        push       : (url, state = null) => {
+            globalObj.history.pushState({ key: createEntryKey(), state }, '', root + '/' + url);
+        },
+        replace    : (url, state = null) => {
+            globalObj.history.replaceState({ key: readEntryKey(globalObj), state }, '', root + '/' + url);
+        },
+        setState   : (state) => {
+            globalObj.history.replaceState({ key: readEntryKey(globalObj), state }, '');
+        },
+        go         : (delta) => globalObj.history.go(delta),
+        listen     : (callback) => {
+            globalObj.addEventListener('popstate', callback);
+            return () => globalObj.removeEventListener('popstate', callback);
+        }
+    };
+};
+
+/**
+ * In-memory adapter - keeps its own stack of entries and never touches the page URL.
+ * Meant for Node, unit tests and embedded widgets.
+ * There is no page query string, so route.query is always empty.
+ * go() notifies listeners synchronously and returns a promise for their completion,
+ * so tests can await back/forward navigations.
+ */
+const createMemoryHistory = (initialPath = '') => {
+    const entries   = [{ url: normalizePath(initialPath), key: createEntryKey(), state: null }];
+    const listeners = [];
+    let   index     = 0;
+
+    return {
+        mode       : 'memory',
+        getUrl     : () => entries[index].url,
+        getSearch  : () => '',
+        getAnchor  : () => null,
+        getKey     : () => entries[index].key,
+        getState   : () => entries[index].state,
+        createHref : (url) => '/' + url,
+        parseHref  : () => null,
+        push       : (url, state = null) => {
+            // Drop any forward entries, like a browser does
+            entries.splice(index + 1, entries.length, { url, key: createEntryKey(), state });
+            index = entries.length - 1;
+        },
+        replace    : (url, state = null) => {
+            entries[index] = { ...entries[index], url, state };
+        },
+        setState   : (state) => {
+            entries[index] = { ...entries[index], state };
+        },
+        go         : (delta) => {
+            const target = Math.min(Math.max(index + delta, 0), entries.length - 1);
+            if (target === index) return Promise.resolve();
+
+            index = target;
+            return Promise.all(listeners.map(callback => callback())).then(() => {});
+        },
+        listen     : (callback) => {
+            listeners.push(callback);
+            return () => {
+                const position = listeners.indexOf(callback);
+                if (position !== -1) listeners.splice(position, 1);
+            };
+        }
+    };
+};
+
+/**
+ * Picks the history adapter for the "mode" option.
+ */
+const createHistory = (globalObj, { mode = 'hash', base, initialPath, namespace } = {}) => {
+    if (mode === 'hash')    return createHashHistory(globalObj, namespace);
+    if (mode === 'history') return createWebHistory(globalObj, base);
+    if (mode === 'memory')  return createMemoryHistory(initialPath);
+    throw new Error(`Unknown router mode "${mode}"`);
+};
+
+/**
+ * Creates a router instance for the given global object.
+ * This function is the core factory that creates the router.
+ *
+ * Options:
+ * - routes: Array of route records ({ path: 'users/:id', children, beforeEnter, ... })
+ *   matched on every navigation
+ * - mode: 'hash' (default, #!/path URLs), 'history' (pushState with clean paths)
+ *   or 'memory' (in-memory entries, for Node, tests and embedded widgets)
+ * - base: Path prefix the app is served from in history mode (e.g. '/app')
+ * - initialPath: Starting URL in memory mode (e.g. 'users/42?tab=posts')
+ * - namespace: Hash mode only - routes live under #namespace!/ so the router can
+ *   share the page with other routers (see createHashHistory)
+ * - links: Intercept clicks on router links and mark active ones (true or
+ *   { activeClass, exactActiveClass })
+ * - persist: Keep per-entry scroll positions and state across reloads (true for
+ *   sessionStorage, or { storage, key, maxEntries, maxSize }; see createEntryStore)
+ * - scrollBehavior: (to, from, savedPosition) => position | false, or a promise of one;
+ *   decides where to scroll after each navigation (see scrollToPosition)
+ * - queryFormat: How array values are written to query strings: 'repeat' (default),
+ *   'bracket', 'comma' or a function (key, values) => [[key, value], ...]
+ * - viewTransition: Swap routes inside document.startViewTransition() where the
+ *   browser supports it (see completeNavigation)
+ *
+ * Browser APIs on globalObj (requestAnimationFrame, scrollTo, addEventListener)
+ * are optional, so memory mode also runs where they don't exist.
+ *
+ * Creating a router has no side effects: it only reads the current URL.
+ * start() attaches the listeners, tags the history entry and runs the initial
+ * navigation; the first push() or back() attaches them when the app hasn't.
+ */
+function createRouter(globalObj = globalThis, options = {}) {
+    // Pick how URLs are read and written
+    const history = createHistory(globalObj, options);
+
+    /**
+     * Runs a callback on the next animation frame, or on the next tick
+     * when requestAnimationFrame is not available (Node, tests).
+     */
+    const nextFrame = (callback) => {
+        if (typeof globalObj.requestAnimationFrame === 'function') {
+            globalObj.requestAnimationFrame(callback);
+        } else {
+            setTimeout(callback, 0);
+        }
+    };
+
+    // Array serialization used when building query strings (see queryFormats)
+    const queryFormat = getQueryFormat(options.queryFormat);
+
+    // Compile the route table once up front
+    const matchers = compileRoutes(options.routes);
+
+    // Index named records for URL building (aliases never generate URLs)
+    const namedMatchers = new Map(
+        matchers
+            .filter(({ record, isAlias }) => record.name !== undefined && !isAlias)
+            .map(matcher => [matcher.record.name, matcher])
+    );
+
+    // ============================
+    // ROUTE OBJECT CREATION
+    // ============================
+
+    /**
+     * Creates a route object from a router-relative URL (defaults to the current one)
+     * and the state of the history entry showing it.
+     * Parses both search params (?key=value) and hash params (#!/path?key=value).
+     *
+     * Returns an object with:
+     * - path: The route path (after #!/, or after the base in history mode)
+     * - fullPath: The path including its query string
+     * - query: Raw query parameters from URL search (?key=value)
+     * - params: Raw parameters from hash fragment (#!/path?key=value)
+     * - queryTyped: Type-coerced query parameters
+     * - paramsTyped: Type-coerced hash parameters
+     * - matched: Route records matching the path (see the routes option)
+     * - record: The matched route record, or null
+     * - meta: Meta fields of the matched records, merged from parent to child
+     * - pathParams: Raw values of dynamic path segments (users/:id)
+     * - pathParamsTyped: Type-coerced dynamic path segment values
+     * - validated/paramErrors: Result of the records' "params" schemas (see applyParamSchemas)
+     * - components/component/data: Lazy components and resolved data (see loadRouteData)
+     * - state: The state the history entry was pushed with (push(to, { state })), or null
+     */
+    const makeRoute = (url = history.getUrl() ?? '', state = null) => {
+        // Split the router-relative URL into path and query
+        const parts     = url.split('?');
+        const path      = parts[0] || '';
+        const hashQuery = parts[1] || '';
+
+        // Parse both URL search params and hash params
+        const searchParams = new URLSearchParams(history.getSearch(url));
+        const hashParams   = new URLSearchParams(hashQuery);
+
+        return applyParamSchemas({
+            path        : path,
+            fullPath    : url,
+            query       : paramsToObj(searchParams),
+            params      : paramsToObj(hashParams),
+            queryTyped  : coerceParams(paramsToObj(searchParams)),
+            paramsTyped : coerceParams(paramsToObj(hashParams)),
+            ...matchRoute(matchers, path),
+            components  : [],
+            component   : null,
+            data        : {},
+            state       : state
+        });
+    };
+
+    // ============================
+    // URL BUILDING
+    // ============================
+
+    /**
+     * Turns a navigation target into a router-relative URL ("users/42?tab=posts").
+     * Use history.createHref() to turn the result into a link href.
+     *
+     * Accepts either a path string ("/user?id=1") or a location object:
+     * - { name, params, query }: Builds the path from a named route record.
+     *   Params fill the dynamic segments, any left over go into the query string.
+     * - { path, params, query }: Uses the path as-is, params and query form the query string.
+     *
+     * Query values may be arrays, which are serialized as repeated keys (see paramsToObj).
+     */
+    const resolveUrl = (to) => {
+        if (typeof to === 'string') {
+            return to.replace(/^#!?/, '').replace(/^\/+/, '');
+        }
+
+        const params = { ...to.params };
+        let   path   = normalizePath(to.path);
+
+        if (to.name !== undefined) {
+            const matcher = namedMatchers.get(to.name);
+            if (!matcher) throw new Error(`No route named "${to.name}"`);
+
+            const built = buildPath(matcher.pattern, params);
+            path = built.path;
+            built.used.forEach(key => delete params[key]);
+        }
+
+        const search = stringifyParams({ ...params, ...to.query }, queryFormat);
+        return path + (search ? '?' + search : '');
+    };
+
+    /**
+     * Follows the "redirect" option of matched route records, before any guard runs.
+     * A redirect can be a path string, a location object or a function of the target route.
+     * String redirects without their own query string keep the original one.
+     *
+     * The entry state travels along to the final route.
+     *
+     * Returns the final route, with redirectedFrom set to the originally requested route.
+     * Throws when the redirects loop back to a URL that was already visited.
+     */
+    const applyRecordRedirects = (url, state = null) => {
+        const requested = makeRoute(url, state);
+        const visited   = [url];
+        let   target    = requested;
+
+        while (target.record?.redirect != null) {
+            const { redirect } = target.record;
+            const location     = typeof redirect === 'function' ? redirect(target) : redirect;
+
+            let next = resolveUrl(location);
+            if (typeof location === 'string' && !next.includes('?') && target.fullPath.includes('?')) {
+                next += target.fullPath.slice(target.fullPath.indexOf('?'));
+            }
+
+            if (visited.includes(next)) {
+                throw new Error(`Redirect loop detected: ${[...visited, next].join(' → ')}`);
+            }
+
+            visited.push(next);
+            target = makeRoute(next, state);
+        }
+
+        if (target !== requested) target.redirectedFrom = requested;
+        return target;
+    };
+
+    // ============================
+    // STATE MANAGEMENT
+    // ============================
+
+    // Current and previous route objects
+    let route           = makeRoute(undefined, history.getState());
+    let prevRoute       = { ...route };
+
+    // Navigation guard arrays - functions that run before/after navigation
+    let beforeListeners = [];
+    let afterListeners  = [];
+
+    // Temporary leave guards registered by the current screen (see onBeforeLeave)
+    let leaveGuards     = [];
+
+    // Awaited between the guards and the route swap, e.g. for page animations (see onTransition)
+    let transitionHooks = [];
+
+    // Event callback arrays - functions that handle router events
+    let statusCallbacks = [];
+    let scrollCallbacks = [];
+
+    // Lifecycle event listeners by event name, '*' receives every event (see ROUTER_EVENTS)
+    const eventListeners = new Map();
+
+    // Lazy component loads, cached per route record
+    const componentLoads = new WeakMap();
+
+    // In-flight navigation tracking - only the latest navigation may complete
+    let navigationId      = 0;
+    let pendingNavigation = null;
+
+    // Lifecycle management
+    let started         = false;
+    let destroyed       = false;
+    let lastUrl         = route.fullPath;
+
+    // ============================
+    // EVENT SYSTEM
+    // ============================
+
+    /**
+     * Emits a lifecycle event to its listeners and the wildcard listeners,
+     * then to the status callbacks when the event maps to a status (see statusOf).
+     */
+    const emit = (type, payload = {}) => {
+        const event = { type, timestamp: Date.now(), ...payload };
+
+        for (const name of [type, '*']) {
+            for (const listener of [...(eventListeners.get(name) ?? [])]) {
+                if (listener.once) removeLifecycleListener(name, listener);
+                try {
+                    listener.callback(event);
+                } catch (error) {
+                    console.error('Event listener error:', error);
+                }
+            }
+        }
+
+        const status = statusOf(event);
+        if (status) emitStatus(...status);
+    };
+
+    /**
+     * Builds the fields shared by navigation events: the navigation id, both routes,
+     * and the time since the navigation started (see startNavigation).
+     */
+    const navigationPayload = (to, from = route) => ({
+        navigationId : to.navigation?.id ?? null,
+        from         : from,
+        to           : to,
+        duration     : to.navigation ? Date.now() - to.navigation.startedAt : 0
+    });
+
+    /**
+     * Emits a status event to all registered status callbacks.
+     * This allows applications to display navigation status without DOM coupling.
+     */
+    const emitStatus = (status, type = 'info') => {
+        statusCallbacks.forEach(callback => {
+            try {
+                callback(status, type, { route, prevRoute });
+            } catch (error) {
+                console.error('Status callback error:', error);
+            }
+        });
+    };
+
+    /**
+     * Emits a scroll event to all registered scroll callbacks.
+     * Provides scroll position data without assuming DOM structure.
+     */
+    const emitScroll = (scrollData) => {
+        scrollCallbacks.forEach(callback => {
+            try {
+                callback(scrollData);
+            } catch (error) {
+                console.error('Scroll callback error:', error);
+            }
+        });
+    };
+
+    // ============================
+    // SCROLL RESTORATION SYSTEM
+    // ============================
+
+    /**
+     * Per-entry data (scroll positions and state), keyed by history entry key
+     * (see history.getKey), so two visits to the same path are kept apart.
+     * Persisted across reloads when the persist option is set.
+     */
+    const persistOptions = options.persist === true ? {} : options.persist;
+    const entryStore     = createEntryStore(
+        persistOptions
+            ? persistOptions.storage ?? createStoragePersistence(
+                readSessionStorage(globalObj),
+                persistOptions.key ?? (options.namespace ? 'vanilla-router:' + options.namespace : undefined)
+            )
+            : null,
+        persistOptions ?? {}
+    );
+
+    // Key of the history entry the current route was rendered in (read by setUp())
+    let entryKey = null;
+
+    // The browser's own restoration setting, taken over by start() when the app decides where to scroll
+    const scrollRestoration = globalObj.history?.scrollRestoration;
+
+    /**
+     * Scrollable panes whose positions are captured and restored along with the window.
+     * Keys are app-chosen names, values are elements or functions returning one
+     * (so panes that are re-rendered per route are looked up when needed).
+     */
+    const scrollContainers = new Map();
+
+    /**
+     * Resolves a registered container to its element, or null when it isn't rendered.
+     */
+    const getScrollContainer = (key) => {
+        const target = scrollContainers.get(key);
+        try {
+            return (typeof target === 'function' ? target() : target) ?? null;
+        } catch (error) {
+            console.error(`Scroll container "${key}" error:`, error);
+            return null;
+        }
+    };
+
+    /**
+     * Captures the current scroll position for a history entry.
+     * Stores the window position and the position of every rendered container.
+     * Scroll callbacks receive the data first (type 'capture') and may add their own fields.
+     */
+    const captureScroll = (key = entryKey) => {
+        const containers = {};
+        for (const name of scrollContainers.keys()) {
+            const element = getScrollContainer(name);
+            if (element) containers[name] = { left: element.scrollLeft, top: element.scrollTop };
+        }
+
+        const scrollData = {
+            type       : 'capture',
+            route      : route.path,                   // Route shown in the entry
+            left       : globalObj.pageXOffset ?? 0,   // Window horizontal scroll
+            top        : globalObj.pageYOffset ?? 0,   // Window vertical scroll
+            containers : containers,                   // Registered container positions
+            timestamp  : Date.now()                    // When this was captured
+        };
+        emitScroll(scrollData);
+
+        const { type, route: path, ...scroll } = scrollData;
+        entryStore.update(key, { scroll });
+    };
+
+    /**
+     * Finds the element a scroll position points at.
+     * "#id" selectors are looked up by id, so ids like "#2024" work too.
+     */
+    const findScrollTarget = (el) => {
+        if (typeof el !== 'string') return el;
+
+        const document = globalObj.document;
+        if (/^#[^\s.#[:>~+]+$/.test(el)) return document?.getElementById(decodeSegment(el.slice(1)));
+
+        try {
+            return document?.querySelector(el);
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Scrolls to a position returned by scrollBehavior. Falsy positions do nothing.
+     *
+     * Position forms:
+     * - { left, top, behavior }: Window coordinates
+     * - { el, left, top, behavior }: An element (or selector), with left/top as offsets
+     * - { containers: { key: { left, top } } }: Also restores registered containers
+     *   (saved positions have it)
+     */
+    const scrollToPosition = (position) => {
+        if (!position) return;
+
+        // Registered containers that are rendered right now
+        for (const [name, saved] of Object.entries(position.containers ?? {})) {
+            const element = getScrollContainer(name);
+            if (!element || !saved) continue;
+            element.scrollLeft = saved.left ?? 0;
+            element.scrollTop  = saved.top ?? 0;
+        }
+
+        let left = position.left ?? 0;
+        let top  = position.top ?? 0;
+
+        if (position.el !== undefined) {
+            const el = findScrollTarget(position.el);
+            if (!el) {
+                console.warn('Scroll target not found:', position.el);
+                return;
+            }
+
+            const rect = el.getBoundingClientRect();
+            left = rect.left + (globalObj.pageXOffset ?? 0) - left;
+            top  = rect.top + (globalObj.pageYOffset ?? 0) - top;
+        }
+
+        globalObj.scrollTo?.({ left, top, behavior: position.behavior });
+
+        // Emit scroll restoration event for custom handling
+        emit('scrollRestore', { route, position, left, top });
+        emitScroll({ ...position, type: 'restore', route: route.path });
+    };
+
+    /**
+     * Registers a scrollable pane under a key. Its position is captured with every
+     * history entry and restored with saved positions.
+     * Registering an existing key replaces it.
+     */
+    const addScrollContainer = (key, elementOrGetter) => {
+        if (destroyed || !elementOrGetter) return () => {};
+
+        scrollContainers.set(key, elementOrGetter);
+
+        // Return unregister function
+        return () => {
+            if (scrollContainers.get(key) === elementOrGetter) scrollContainers.delete(key);
+        };
+    };
+
+    /**
+     * Decides where to scroll after a navigation and scrolls there on the next frame.
+     * The closest matched record's scrollBehavior wins over the router option;
+     * without either, saved positions are restored on back/forward.
+     * A promise result is awaited (e.g. until data rendered), unless another
+     * navigation completes first.
+     */
+    const applyScrollBehavior = async (to, from, savedPosition) => {
+        const behavior = [...to.matched].reverse()
+            .map(record => record.scrollBehavior)
+            .find(value => typeof value === 'function')
+            ?? options.scrollBehavior
+            ?? ((to, from, saved) => saved);
+
+        try {
+            const position = await behavior(to, from, savedPosition);
+            if (destroyed || route !== to) return;
+            nextFrame(() => scrollToPosition(position));
+        } catch (error) {
+            console.error('Scroll behavior error:', error);
+        }
+    };
+
+    // ============================
+    // ENTRY STACK
+    // ============================
+
+    /**
+     * The history entries this router has shown since start(), oldest first,
+     * as { key, route, timestamp } (timestamp: when the entry last showed its route).
+     * Entries are told apart by their keys (see history.getKey), so back/forward
+     * finds its way through the stack and an unknown key is a new entry (a typed URL
+     * or plain link). Entries from before a reload are unknown, so canGoBack()
+     * errs on the side of leaving the app.
+     */
+    let stackEntries   = [];
+    let stackIndex     = -1;
+
+    // How the last navigation moved through the stack: 'push', 'replace', 'back' or 'forward'
+    let lastDirection  = null;
+
+    /**
+     * Tells how reaching the current history entry moves through the stack.
+     * type is 'push' or 'replace' for router navigations, 'initial' for the URL
+     * the router started on, 'pop' when the URL changed outside the router
+     * (back/forward, typed URLs).
+     * Returns 'push', 'replace', 'back' or 'forward'.
+     */
+    const directionOf = (type) => {
+        if (type === 'initial') return 'push';
+        if (type !== 'pop') return stackIndex === -1 ? 'push' : type;
+
+        const found = stackEntries.findIndex(({ key }) => key === history.getKey());
+        if (found === -1) return 'push';
+        return found < stackIndex ? 'back' : found > stackIndex ? 'forward' : 'replace';
+    };
+
+    /**
+     * Records the route now showing in the current history entry (type as in directionOf).
+     * The initial navigation fills in the entry start() recorded.
+     * Returns the direction of the move.
+     */
+    const trackEntry = (newRoute, type) => {
+        const direction = directionOf(type);
+        const entry     = { key: history.getKey(), route: newRoute, timestamp: Date.now() };
+
+        if (direction === 'back' || direction === 'forward') {
+            stackIndex = stackEntries.findIndex(({ key }) => key === entry.key);
+        }
+
+        if (direction === 'push' && type !== 'initial') {
+            // Drop any forward entries, like the browser does
+            stackEntries.splice(stackIndex + 1, stackEntries.length, entry);
+            stackIndex = stackEntries.length - 1;
+        } else {
+            stackEntries[stackIndex] = entry;
+        }
+        return direction;
+    };
+
+    const canGoBack    = () => stackIndex > 0;
+    const canGoForward = () => stackIndex < stackEntries.length - 1;
+
+    // Callers waiting for the next URL change to be handled (see backOr)
+    let popWaiters     = [];
+
+    /**
+     * Goes back when the previous entry belongs to the app, else navigates
+     * to the fallback, e.g. to close a page that was opened from a shared link.
+     * Resolves like push(), once the back navigation has been handled
+     * (browsers only report it later, through hashchange/popstate).
+     */
+    const backOr = async (fallback) => {
+        setUp();
+        if (!canGoBack()) return changeUrl(fallback);
+
+        const handled = new Promise(resolve => popWaiters.push(resolve));
+        history.go(-1);
+        return handled;
+    };
+
+    /**
+     * Reads the state the current history entry was stored with. The history
+     * adapter keeps it (history.state, memory entries); the entry store has a copy
+     * for entries whose history state is gone, e.g. when a persistence adapter
+     * outlives the browser session.
+     */
+    const loadEntryState = () => history.getState() ?? entryStore.get(history.getKey())?.state ?? null;
+
+    /**
+     * Copies an entry's state to the entry store, so the persistence adapter gets it too.
+     */
+    const storeEntryState = (key, state) => {
+        if ((entryStore.get(key)?.state ?? null) !== state) entryStore.update(key, { state });
+    };
+
+    /**
+     * Reads the state kept with a history entry: route.state for the current
+     * entry, or what another entry showed last time (see trackEntry), falling
+     * back to the entry store for entries from before a reload.
+     */
+    const getEntryState = (key = entryKey) => {
+        if (key === entryKey) return route.state;
+        return stackEntries.find(entry => entry.key === key)?.route.state ?? entryStore.get(key)?.state ?? null;
+    };
+
+    /**
+     * Replaces the state of the current history entry without navigating.
+     * It is written to the entry like push(to, { state }), so route.state,
+     * back/forward and reloads all see the new value.
+     */
+    const setEntryState = (state) => {
+        if (destroyed) return;
+
+        history.setState(state);
+        route.state = state;
+        storeEntryState(entryKey, state);
+    };
+
+    // ============================
+    // NAVIGATION GUARD SYSTEM
+    // ============================
+
+    /**
+     * Checks whether a navigation leaves the current screen: the leaf record changes,
+     * or, without a matching record, the path changes.
+     * Navigating between users/1 and users/2 stays on the same screen.
+     */
+    const leavesScreen = (newRoute, oldRoute) => {
+        if (newRoute.record || oldRoute.record) return newRoute.record !== oldRoute.record;
+        return newRoute.path !== oldRoute.path;
+    };
+
+    /**
+     * Collects the guards for a navigation, in the order they must run:
+     * 1. Temporary leave guards (onBeforeLeave), when the current screen is left.
+     * 2. "beforeLeave" guards of every record the navigation leaves, from child to parent.
+     * 3. "beforeUpdate" guards of records kept by both routes, when the URL changes
+     *    (e.g. users/1 → users/2, or a parent layout whose child changes).
+     * 4. "beforeEnter" guards of every record the navigation enters, from parent to child.
+     * 5. Global "beforeEach" guards, in registration order.
+     */
+    const collectGuards = (newRoute, oldRoute) => {
+        const left    = oldRoute.matched.filter(record => !newRoute.matched.includes(record)).reverse();
+        const kept    = newRoute.matched.filter(record => oldRoute.matched.includes(record));
+        const entered = newRoute.matched.filter(record => !oldRoute.matched.includes(record));
+        const updated = newRoute.fullPath !== oldRoute.fullPath ? kept : [];
+
+        return [
+            ...(leavesScreen(newRoute, oldRoute) ? leaveGuards : []),
+            ...left.flatMap(record => [].concat(record.beforeLeave ?? [])),
+            ...updated.flatMap(record => [].concat(record.beforeUpdate ?? [])),
+            ...entered.flatMap(record => [].concat(record.beforeEnter ?? [])),
+            ...beforeListeners
+        ].filter(guard => typeof guard === 'function');
+    };
+
+    /**
+     * Loads a record's lazy component. Functions are treated as loaders
+     * (e.g. () => import('./views/User.js')) and a module's default export is used.
+     * Successful loads are cached; failed loads are retried on the next navigation.
+     */
+    const loadComponent = (record) => {
+        if (typeof record.component !== 'function') return record.component ?? null;
+
+        if (!componentLoads.has(record)) {
+            const load = Promise.resolve(record.component())
+                .then(module => module?.default ?? module)
+                .catch(error => {
+                    componentLoads.delete(record);
+                    throw error;
+                });
+            componentLoads.set(record, load);
+        }
+
+        return componentLoads.get(record);
+    };
+
+    /**
+     * Loads the components and runs the "resolve" entries of every matched record.
+     * Everything runs in parallel; the results are stored on the route:
+     * - components: Loaded components, aligned with route.matched
+     * - component: The leaf record's component
+     * - data: Resolved values by key (a child's key wins over its parent's)
+     */
+    const loadRouteData = async (newRoute, oldRoute) => {
+        const needsLoading = newRoute.matched.some(record => record.component !== undefined || record.resolve);
+        if (!needsLoading) return;
+
+        emit('loadStart', navigationPayload(newRoute, oldRoute));
+
+        const entries = newRoute.matched.flatMap(record => Object.entries(record.resolve ?? {}));
+        const [components, values] = await Promise.all([
+            Promise.all(newRoute.matched.map(loadComponent)),
+            Promise.all(entries.map(([, resolver]) => {
+                return typeof resolver === 'function' ? resolver(newRoute, oldRoute) : resolver;
+            }))
+        ]);
+
+        newRoute.components = components;
+        newRoute.component  = components[components.length - 1] ?? null;
+        newRoute.data       = {};
+        entries.forEach(([key], index) => {
+            newRoute.data[key] = values[index];
+        });
+    };
+
+    /**
+     * Starts tracking a navigation, cancelling the one still in flight (if any).
+     * The navigation id, AbortSignal, start time and direction (see directionOf)
+     * are exposed to guards as to.navigation.
+     */
+    const startNavigation = (newRoute, direction) => {
+        pendingNavigation?.controller?.abort();
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        pendingNavigation = { id: ++navigationId, controller };
+
+        newRoute.navigation = {
+            id        : pendingNavigation.id,
+            signal    : controller?.signal ?? null,
+            startedAt : Date.now(),
+            direction : direction
+        };
+        return pendingNavigation;
+    };
+
+    /**
+     * Waits for a guard, but gives up as soon as its navigation is cancelled
+     * so a guard that never settles can't hold on to a stale navigation.
+     */
+    const untilCancelled = (promise, navigation) => {
+        const signal = navigation.controller?.signal;
+        if (!signal) return promise;
+
+        return Promise.race([
+            promise,
+            new Promise(resolve => signal.addEventListener('abort', () => resolve(), { once: true }))
+        ]);
+    };
+
+    /**
+     * Runs the transition hooks (see onTransition) side by side and waits for all of them.
+     * A failing hook is logged and doesn't hold up the navigation.
+     */
+    const runTransitionHooks = (newRoute, oldRoute) => {
+        const context = {
+            direction   : newRoute.navigation.direction,
+            abortSignal : newRoute.navigation.signal
+        };
+
+        return Promise.all(transitionHooks.map(async (hook) => {
+            try {
+                await hook(newRoute, oldRoute, context);
+            } catch (error) {
+                console.error('Transition hook error:', error);
+            }
+        }));
+    };
+
+    /**
+     * Checks if navigation to a new route is allowed.
+     * Runs the guards one at a time; the first decisive result skips the rest,
+     * then loads the route data and runs the transition hooks.
+     * Starting another navigation meanwhile cancels this one.
+     * type is how the target entry is reached (see directionOf).
+     *
+     * Returns one of:
+     * - { type: 'ok' }: Every guard let the navigation through
+     * - { type: 'abort', error }: A guard returned false or an Error, or threw
+     * - { type: 'redirect', to }: A guard returned a path or location object
+     * - { type: 'cancelled' }: A newer navigation started, or the router was destroyed
+     */
+    const canNavigate = async (newRoute, type) => {
+        // Don't navigate if router is destroyed
+        if (destroyed) return { type: 'cancelled' };
+
+        const navigation = startNavigation(newRoute, directionOf(type));
+        const isStale    = () => destroyed || pendingNavigation !== navigation;
+
+        // Capture scroll position before potentially leaving the current entry
+        // (the initial navigation has nothing on screen yet)
+        if (type !== 'initial') captureScroll();
+
+        const oldRoute = route;
+        let   result;
+
+        emit('navigationStart', navigationPayload(newRoute, oldRoute));
+        if (newRoute.redirectedFrom) {
+            emit('redirect', {
+                ...navigationPayload(newRoute, oldRoute),
+                to         : newRoute.redirectedFrom,
+                source     : 'record',
+                redirectTo : newRoute.fullPath
+            });
+        }
+
+        try {
+            // The initial navigation lets the app finish its setup first, so guards
+            // registered right after start() apply to the URL the page was opened with
+            if (type === 'initial') await null;
+
+            // Params rejected by the route's schema never reach the guards
+            if (newRoute.paramErrors.length) {
+                result = invalidParamsResult(newRoute);
+            }
+
+            const guards = result || isStale() ? [] : collectGuards(newRoute, oldRoute);
+            for (const [guardIndex, guard] of guards.entries()) {
+                const guardEvent = () => ({
+                    ...navigationPayload(newRoute, oldRoute),
+                    guardIndex : guardIndex,
+                    guardCount : guards.length
+                });
+
+                emit('guardStart', guardEvent());
+                let value;
+                try {
+                    value = await untilCancelled(callGuard(guard, newRoute, oldRoute), navigation);
+                } catch (error) {
+                    emit('guardEnd', { ...guardEvent(), result: 'abort', error });
+                    throw error;
+                }
+
+                if (isStale()) {
+                    emit('guardEnd', { ...guardEvent(), result: 'cancelled', error: null });
+                    break;
+                }
+
+                result = toGuardResult(value);
+                emit('guardEnd', { ...guardEvent(), result: result?.type ?? 'next', error: result?.error ?? null });
+                if (result) break;
+            }
+
+            // Resolve redirect targets here, so one that doesn't resolve
+            // (e.g. an unknown route name) aborts like a throwing guard
+            if (result?.type === 'redirect') {
+                result = { type: 'redirect', to: resolveUrl(result.to) };
+            }
+
+            // Every guard passed - load lazy components and resolve route data
+            if (!result && !isStale()) {
+                await untilCancelled(loadRouteData(newRoute, oldRoute), navigation);
+            }
+
+            // Ready to swap - let the current screen animate out first
+            if (!result && !isStale()) {
+                await untilCancelled(runTransitionHooks(newRoute, oldRoute), navigation);
+            }
+        } catch (error) {
+            // A guard or loader threw - treat it like returning the error
+            result = { type: 'abort', error };
+        }
+
+        // A newer navigation (or destroy) took over while guards were running
+        if (isStale()) {
+            emit('navigationCancelled', navigationPayload(newRoute, oldRoute));
+            return { type: 'cancelled' };
+        }
+        pendingNavigation = null;
+
+        if (!result) return { type: 'ok' };
+
+        if (result.type === 'abort') {
+            if (result.error) console.error('Navigation cancelled:', result.error);
+            emit('navigationError', { ...navigationPayload(newRoute, oldRoute), error: result.error });
+        }
+
+        if (result.type === 'redirect') {
+            emit('redirect', { ...navigationPayload(newRoute, oldRoute), source: 'guard', redirectTo: result.to });
+        }
+
+        return result;
+    };
+
+    /**
+     * Completes the navigation process after guards have passed.
+     * Writes the URL (updateUrl), updates route state and runs afterEach hooks.
+     * type is how the entry was reached: 'push', 'replace', 'pop' or 'initial' (see trackEntry).
+     *
+     * With the viewTransition option and View Transitions support, the swap runs
+     * inside document.startViewTransition() with the direction as transition type,
+     * so CSS can tell them apart (:active-view-transition-type(back)).
+     * Resolves once the route has been swapped.
+     */
+    const completeNavigation = async (newRoute, type, updateUrl = () => {}) => {
+        if (destroyed) return;
+
+        const swap = () => {
+            // Destroyed while the view transition captured the old screen
+            if (destroyed) return;
+            updateUrl();
+
+            // Temporary leave guards belong to the screen we're leaving
+            if (leavesScreen(newRoute, route)) {
+                leaveGuards.length = 0;
+            }
+
+            // Update route state
+            prevRoute = { ...route };
+            route = newRoute;
+            entryKey = history.getKey();
+            lastDirection = trackEntry(newRoute, type);
+            storeEntryState(entryKey, newRoute.state);
+
+            // Run all afterEach hooks
+            afterListeners.forEach(callback => {
+                if (typeof callback === 'function') {
+                    try {
+                        callback(newRoute, prevRoute);
+                    } catch (error) {
+                        console.error('After hook error:', error);
+                    }
+                }
+            });
+
+            // Back/forward and reloads offer the position saved for that entry, new entries start fresh
+            const savedPosition = type === 'pop' || type === 'initial'
+                ? entryStore.get(entryKey)?.scroll ?? null
+                : null;
+            applyScrollBehavior(newRoute, prevRoute, savedPosition);
+            emit('navigationEnd', navigationPayload(newRoute, prevRoute));
+        };
+
+        // Without View Transitions support the route is simply swapped
+        const document = globalObj.document;
+        if (!options.viewTransition || typeof document?.startViewTransition !== 'function') {
+            swap();
+            return;
+        }
+
+        const transition = document.startViewTransition(swap);
+        transition.types?.add(newRoute.navigation.direction);
+        await transition.updateCallbackDone.catch(error => {
+            console.error('View transition error:', error);
+        });
+    };
+
+    // ============================
+    // GUARD REGISTRATION FUNCTIONS
+    // ============================
+
+    /**
+     * Registers a function to run before each navigation.
+     * It isn't called on registration: the initial URL reaches it through start().
+     * Returns an unsubscribe function.
+     */
+    const addBeforeListener = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        beforeListeners.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = beforeListeners.indexOf(callback);
+            if (index !== -1) beforeListeners.splice(index, 1);
+        };
+    };
+
+    /**
+     * Subscribes to a lifecycle event (see ROUTER_EVENTS), or to every event with '*'.
+     * With { once: true } the callback is removed after its first call.
+     * Returns an unsubscribe function.
+     */
+    const addLifecycleListener = (event, callback, { once = false } = {}) => {
+        if (event !== '*' && !ROUTER_EVENTS.includes(event)) {
+            throw new Error(`Unknown router event "${event}"`);
+        }
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        const listener = { callback, once };
+        if (!eventListeners.has(event)) eventListeners.set(event, []);
+        eventListeners.get(event).push(listener);
+
+        // Return unsubscribe function
+        return () => removeLifecycleListener(event, listener);
+    };
+
+    const removeLifecycleListener = (event, listener) => {
+        const listeners = eventListeners.get(event) ?? [];
+        const index     = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    };
+
+    /**
+     * Registers a callback to receive navigation status updates - human readable
+     * messages derived from the lifecycle events (see statusOf), kept for compatibility.
+     * Returns an unsubscribe function.
+     */
+    const addStatusListener = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        statusCallbacks.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = statusCallbacks.indexOf(callback);
+            if (index !== -1) statusCallbacks.splice(index, 1);
+        };
+    };
+
+    /**
+     * Registers a callback to receive scroll-related events.
+     * Returns an unsubscribe function.
+     */
+    const addScrollListener = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        scrollCallbacks.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = scrollCallbacks.indexOf(callback);
+            if (index !== -1) scrollCallbacks.splice(index, 1);
+        };
+    };
+
+    /**
+     * Registers a temporary guard that runs when navigation leaves the current screen
+     * (e.g. to confirm discarding unsaved changes).
+     * It is removed automatically once the screen has been left.
+     * Returns an unsubscribe function.
+     */
+    const addLeaveGuard = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        leaveGuards.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = leaveGuards.indexOf(callback);
+            if (index !== -1) leaveGuards.splice(index, 1);
+        };
+    };
+
+    /**
+     * Registers a hook that runs once a navigation has passed its guards and loaded
+     * its data, right before the route is swapped and afterEach runs.
+     * Called with (to, from, { direction, abortSignal }); a returned promise is awaited
+     * (e.g. an exit animation) until the signal aborts for a newer navigation.
+     * Returns an unsubscribe function.
+     */
+    const addTransitionHook = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        transitionHooks.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = transitionHooks.indexOf(callback);
+            if (index !== -1) transitionHooks.splice(index, 1);
+        };
+    };
+
+    /**
+     * Registers a function to run after each navigation.
+     * Returns an unsubscribe function.
+     */
+    const addAfterListener = (callback) => {
+        if (typeof callback !== 'function') return () => {};
+        if (destroyed) return () => {};
+
+        afterListeners.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            if (destroyed) return;
+            const index = afterListeners.indexOf(callback);
+            if (index !== -1) afterListeners.splice(index, 1);
+        };
+    };
+
+    // ============================
+    // CORE NAVIGATION LOGIC
+    // ============================
+
+    /**
+     * Scrolls to the element a native in-page anchor (#section) points at.
+     * Returns true when the URL is such an anchor rather than a route.
+     */
+    const scrollToAnchor = () => {
+        const anchorId = history.getAnchor();
+        if (!anchorId || !globalObj.document?.getElementById(anchorId)) return false;
+
+        nextFrame(() => {
+            const el = globalObj.document?.getElementById(anchorId);
+            el?.scrollIntoView({ behavior: 'smooth' });
+        });
+        return true;
+    };
+
+    /**
+     * Processes the URL the router started on like any other navigation:
+     * record redirects, param schemas, guards, lazy components and route data.
+     * Redirects replace the entry, so the page that was opened doesn't stay behind it.
+     * When the navigation is aborted, the route stays unresolved (no component,
+     * data or navigation) as there is no previous screen to fall back to.
+     */
+    const handleInitialRoute = async () => {
+        // *** ANCHOR LINK HANDLING ***
+        if (scrollToAnchor()) return;
+
+        const url   = history.getUrl();
+        const state = route.state;
+        let newRoute;
+        try {
+            newRoute = applyRecordRedirects(route.fullPath, state);
+        } catch (error) {
+            // Redirect loop - treat like a guard aborting the navigation
+            console.error('Navigation cancelled:', error);
+            emit('navigationError', { ...navigationPayload(route), error });
+            return;
+        }
+
+        const result = await canNavigate(newRoute, 'initial');
+
+        if (result.type === 'redirect') {
+            await changeUrl(result.to, { replace: true, state }, 1);
+            return;
+        }
+
+        // Also give way when the URL changed while the guards ran, handleRouteChange takes it from there
+        if (result.type !== 'ok' || history.getUrl() !== url) return;
+
+        // Swap in the record redirect target, unless the URL belongs to another router
+        await completeNavigation(newRoute, 'initial', () => {
+            lastUrl = newRoute.fullPath;
+            if (url !== null && newRoute.fullPath !== url) history.replace(newRoute.fullPath, state);
+        });
+    };
+
+    /**
+     * Handles route changes, whether from user navigation or programmatic changes.
+     * This is the heart of the router - it processes URL changes and decides what to do.
+     *
+     * Resolves like changeUrl: to undefined once the new route is showing (or there
+     * was nothing to do), or to a navigation failure when the URL was rolled back.
+     */
+    const handleRouteChange = async () => {
+        if (destroyed) return;
+
+        // *** ANCHOR LINK HANDLING ***
+        // If it's a native anchor link (not a router route), just scroll to it and return
+        if (scrollToAnchor()) return;
+
+        // *** DUPLICATE NAVIGATION PREVENTION ***
+        // Don't process if the URL hasn't actually changed, or belongs to another router
+        const url = history.getUrl();
+        if (url === null) return;
+        if (url === lastUrl) {
+            // Same route, but maybe another entry (e.g. forward onto an entry rolled back to it)
+            trackEntry(route, 'pop');
+            return;
+        }
+
+        // *** NAVIGATION PROCESSING ***
+        // Back/forward brings back the state the entry was pushed with
+        const state = loadEntryState();
+        const from  = route;
+        let newRoute;
+        try {
+            newRoute = applyRecordRedirects(url, state);
+        } catch (error) {
+            // Redirect loop - treat like a guard aborting the navigation
+            console.error('Navigation cancelled:', error);
+            emit('navigationError', { ...navigationPayload(makeRoute(url, state)), error });
+            lastUrl = route.fullPath;
+            history.replace(route.fullPath, route.state);
+            trackEntry(route, 'pop');
+            return createNavigationFailure(NavigationFailureType.aborted, from, makeRoute(url, state), error);
+        }
+
+        const result = await canNavigate(newRoute, 'pop');
+
+        if (result.type === 'ok') {
+            // Navigation allowed - swap in the record redirect target, then update state
+            if (newRoute.fullPath !== url) history.replace(newRoute.fullPath, state);
+            lastUrl = newRoute.fullPath;
+            await completeNavigation(newRoute, 'pop');
+            return;
+        }
+
+        // Redirected - swap the entry the browser already created for the target
+        let failure;
+        if (result.type === 'redirect') {
+            failure = await changeUrl(result.to, { replace: true, state }, 1);
+            if (!failure || failure.type === NavigationFailureType.redirected) {
+                return failure ?? createNavigationFailure(NavigationFailureType.redirected, from, newRoute);
+            }
+        }
+
+        if (result.type === 'cancelled') {
+            return createNavigationFailure(NavigationFailureType.cancelled, from, newRoute);
+        }
+
+        // Navigation cancelled - rollback URL to the route we never left,
+        // in whichever entry the browser is on now
+        lastUrl = route.fullPath;
+        history.replace(route.fullPath, route.state);
+        trackEntry(route, 'pop');
+        return failure ?? createNavigationFailure(NavigationFailureType.aborted, from, newRoute, result.error);
+    };
+
+    /**
+     * Handles a URL change reported by the history adapter, then settles
+     * the backOr() calls that were waiting for it with the outcome.
+     */
+    const handleHistoryChange = () => {
+        const waiters = popWaiters;
+        popWaiters    = [];
+
+        const handled = handleRouteChange();
+        handled.then(failure => waiters.forEach(resolve => resolve(failure)));
+        return handled;
+    };
+
+    /**
+     * Programmatically navigate to a new route.
+     * This is used by the push() and replace() methods.
+     * Guard redirects are followed with the same push/replace behavior and state,
+     * up to MAX_REDIRECTS times.
+     *
+     * Options:
+     * - replace: Replace the current history entry instead of adding one
+     * - state: Data stored with the new entry, exposed as route.state and brought back
+     *   by back/forward (kept in history.state, so it must be structured-cloneable)
+     *
+     * Resolves to undefined on success, or to a navigation failure
+     * (see createNavigationFailure) describing why the target wasn't reached.
+     */
+    const changeUrl = async (to, { replace = false, state = null } = {}, redirects = 0) => {
+        setUp();
+
+        // Build the target URL from a path string or location object
+        const url  = resolveUrl(to);
+        const from = route;
+
+        // Create a temporary route object to test against guards,
+        // following record redirects first
+        let tempRoute;
+        try {
+            tempRoute = applyRecordRedirects(url, state);
+        } catch (error) {
+            console.error('Navigation cancelled:', error);
+            emit('navigationError', { ...navigationPayload(makeRoute(url, state)), error });
+            return createNavigationFailure(NavigationFailureType.aborted, from, makeRoute(url, state), error);
+        }
+
+        // Nothing to do when we're already there
+        if (tempRoute.fullPath === route.fullPath) {
+            return createNavigationFailure(NavigationFailureType.duplicated, from, tempRoute);
+        }
+
+        // Check if navigation is allowed
+        const result = await canNavigate(tempRoute, replace ? 'replace' : 'push');
+
+        if (result.type === 'redirect') {
+            if (redirects >= MAX_REDIRECTS) {
+                const error = new Error(`Too many redirects from "${url}"`);
+                console.error('Navigation cancelled:', error);
+                emit('navigationError', { ...navigationPayload(tempRoute), error });
+                return createNavigationFailure(NavigationFailureType.aborted, from, tempRoute, error);
+            }
+
+            // Report the redirect, unless the redirected navigation failed as well
+            const failure = await changeUrl(result.to, { replace, state }, redirects + 1);
+            return failure ?? createNavigationFailure(NavigationFailureType.redirected, from, tempRoute);
+        }
+
+        if (result.type === 'cancelled') {
+            return createNavigationFailure(NavigationFailureType.cancelled, from, tempRoute);
+        }
+
+        if (result.type === 'abort') {
+            return createNavigationFailure(NavigationFailureType.aborted, from, tempRoute, result.error);
+        }
+
+        // Update the URL along with the route, replacing or adding a history entry
+        await completeNavigation(tempRoute, replace ? 'replace' : 'push', () => {
+            lastUrl = tempRoute.fullPath;
+            if (replace) {
+                history.replace(tempRoute.fullPath, state);
+            } else {
+                history.push(tempRoute.fullPath, state);
+            }
+        });
+    };
+
+    /**
+     * Navigates to the current path with its query string patched (see mergeParams).
+     * Keys set to undefined are removed, nested objects and arrays are serialized
+     * with the router's queryFormat unless options.format overrides it.
+     *
+     * options.replace and options.state work as in changeUrl.
+     *
+     * Example: updateQuery({ page: 2, color: undefined }, { replace: true })
+     */
+    const updateQuery = async (patch = {}, { replace = false, state = null, format = queryFormat } = {}) => {
+        const search = mergeParams(route.params, patch, format);
+        return changeUrl(route.path + (search ? '?' + search : ''), { replace, state });
+    };
+
+    /**
+     * Like updateQuery, but keys naming a dynamic segment of the current route
+     * rebuild the path instead (undefined drops an optional segment).
+     * Rejects when a required segment is removed.
+     *
+     * Example on users/:id?tab=posts: updateParams({ id: 43, tab: 'likes' }) → users/43?tab=likes
+     */
+    const updateParams = async (patch = {}, { replace = false, state = null, format = queryFormat } = {}) => {
+        const target  = '/' + normalizePath(route.path);
+        const matcher = matchers.find(({ regex }) => regex.test(target));
+
+        const segments = { ...route.pathParams };
+        const query    = {};
+        for (const [key, value] of Object.entries(patch)) {
+            if (matcher?.keys.includes(key)) {
+                segments[key] = value;
+            } else {
+                query[key] = value;
+            }
+        }
+
+        const path   = matcher ? buildPath(matcher.pattern, segments).path : route.path;
+        const search = mergeParams(route.params, query, format);
+        return changeUrl(path + (search ? '?' + search : ''), { replace, state });
+    };
+
+    // ============================
+    // LINK INTERCEPTION
+    // ============================
+
+    // Class names for links pointing at the current route (or one of its parents)
+    const linkOptions = {
+        activeClass      : 'router-link-active',
+        exactActiveClass : 'router-link-exact-active',
+        ...(typeof options.links === 'object' ? options.links : {})
+    };
+
+    // Elements the router handles: links and anything with data-router-link
+    const LINK_SELECTOR = 'a[href], [data-router-link]';
+
+    /**
+     * Returns the router-relative URL an element points at, or null when it isn't a router link.
+     * data-router-link="users/42" takes precedence over the href.
+     */
+    const getLinkUrl = (el) => {
+        const target = el.getAttribute('data-router-link');
+        if (target) return resolveUrl(target);
+
+        const href = el.getAttribute('href');
+        if (href === null) return null;
+
+        try {
+            return history.parseHref(href);
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Handles clicks on router links by routing them through push()/replace().
+     * Leaves the browser in charge of modified clicks (new tab, download...),
+     * links with a target or download attribute, and anything marked data-router-ignore.
+     */
+    const handleLinkClick = (event) => {
+        if (destroyed || event.defaultPrevented || event.button !== 0) return;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        const el = event.target?.closest?.(LINK_SELECTOR);
+        if (!el || el.closest('[data-router-ignore]')) return;
+
+        const target = el.getAttribute('target');
+        if ((target && target !== '_self') || el.hasAttribute('download')) return;
+
+        const url = getLinkUrl(el);
+        if (url === null) return;
+
+        event.preventDefault();
+        changeUrl(url, { replace: el.hasAttribute('data-router-replace') });
+    };
+
+    /**
+     * Marks links pointing at the current route:
+     * - exactActiveClass and aria-current="page" when the paths are equal
+     * - activeClass when the current path is the link path or below it (settings → settings/profile)
+     * Links with data-router-link but no href get one, so they stay accessible.
+     */
+    const updateActiveLinks = () => {
+        if (destroyed) return;
+
+        const links = globalObj.document?.querySelectorAll?.(LINK_SELECTOR) ?? [];
+
+        links.forEach(el => {
+            const url = getLinkUrl(el);
+            if (url === null) return;
+
+            if (el.tagName === 'A' && !el.hasAttribute('href')) {
+                el.setAttribute('href', history.createHref(url));
+            }
+
+            const linkPath = normalizePath(url.split('?')[0]);
+            const exact    = linkPath === normalizePath(route.path);
+            const active   = exact || (linkPath !== '' && normalizePath(route.path).startsWith(linkPath + '/'));
+
+            el.classList.toggle(linkOptions.activeClass, active);
+            el.classList.toggle(linkOptions.exactActiveClass, exact);
+
+            if (exact) {
+                el.setAttribute('aria-current', 'page');
+            } else if (el.getAttribute('aria-current') === 'page') {
+                el.removeAttribute('aria-current');
+            }
+        });
+    };
+
+    // ============================
+    // EVENT LISTENERS SETUP
+    // ============================
+
+    // Set up scroll position tracking
+    const updateScrollTracking = () => {
+        if (destroyed) return;
+
+        emitScroll({
+            type      : 'update',
+            route     : route.path,
+            left      : globalObj.pageXOffset ?? 0,
+            top       : globalObj.pageYOffset ?? 0,
+            timestamp : Date.now()
+        });
+    };
+
+    // Save the position of the entry that's showing when the page is reloaded or closed
+    const handlePageHide = () => captureScroll();
+
+    // Unsubscribes from URL changes, set by setUp()
+    let stopListening = () => {};
+
+    /**
+     * Tags the current history entry and listens for URL changes, scrolling
+     * and link clicks. Runs once; returns false when it already ran.
+     */
+    const setUp = () => {
+        if (started || destroyed) return false;
+        started = true;
+
+        entryKey = history.getKey();
+        route.state = loadEntryState();
+        trackEntry(route, 'push');
+
+        // Take over from the browser's own restoration when the app decides where to scroll
+        if (options.scrollBehavior && scrollRestoration !== undefined) {
+            globalObj.history.scrollRestoration = 'manual';
+        }
+
+        // Monitor scroll changes
+        globalObj.addEventListener?.('scroll', updateScrollTracking, { passive: true });
+        globalObj.addEventListener?.('pagehide', handlePageHide);
+
+        // Listen for URL changes (back/forward buttons, direct URL changes)
+        stopListening = history.listen(handleHistoryChange);
+
+        // Opt-in link interception and active link classes
+        if (options.links && globalObj.document) {
+            globalObj.document.addEventListener('click', handleLinkClick);
+            addAfterListener(updateActiveLinks);
+
+            if (globalObj.document.readyState === 'loading') {
+                globalObj.document.addEventListener('DOMContentLoaded', updateActiveLinks, { once: true });
+            } else {
+                updateActiveLinks();
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Starts the router - sets it up (see setUp) and runs the initial URL through
+     * the navigation pipeline (see handleInitialRoute), which also returns to the
+     * scroll position the entry was left at before a reload.
+     * Navigating before start() sets the router up without the initial navigation,
+     * as the new route takes the place of the initial one.
+     * Returns the router, so it can be chained onto createRouter().
+     */
+    const start = () => {
+        if (setUp()) handleInitialRoute();
+        return router;
+    };
+
+    // ============================
+    // PUBLIC API
+    // ============================
+
+    /**
+     * The public router interface.
+     */
+    const router = {
+        // Lifecycle - install() lets plugin systems start the router (app.use(router))
+        start   : start,
+        install : () => start(),
+
+        // Guard registration
+        beforeEach    : addBeforeListener,
+        afterEach     : addAfterListener,
+        onBeforeLeave : addLeaveGuard,
+        onTransition  : addTransitionHook,
+
+        // Event registration (UI agnostic)
+        on            : addLifecycleListener,
+        onStatus      : addStatusListener,
+        onScroll      : addScrollListener,
+
+        // Programmatic navigation - { state } is stored with the new history entry
+        push    : (to, { state } = {}) => changeUrl(to, { state }),
+        replace : (to, { state } = {}) => changeUrl(to, { replace: true, state }),
+
+        // Patch navigation on the current route
+        updateQuery  : updateQuery,
+        updateParams : updateParams,
+
+        // URL building without navigation
+        resolve : (to) => {
+            const url = resolveUrl(to);
+            return { ...makeRoute(url), href: history.createHref(url) };
+        },
+        href    : (to) => history.createHref(resolveUrl(to)),
+
+        // Active history mode ('hash', 'history' or 'memory')
+        mode    : history.mode,
+
+        // Route information getters
+        currentRoute  : () => ({ ...route }),
+        previousRoute : () => ({ ...prevRoute }),
+        getRouteState : () => ({ to: { ...route }, from: { ...prevRoute } }),
+
+        // Convenience getters for typed parameters
+        getTypedParams : () => route.paramsTyped,
+        getTypedQuery  : () => route.queryTyped,
+
+        // Scroll management
+        saveScrollPosition      : (key = entryKey) => captureScroll(key),
+        restoreScrollPosition   : (key = entryKey) => {
+            const saved = entryStore.get(key)?.scroll;
+            if (saved) nextFrame(() => scrollToPosition(saved));
+        },
+        clearScrollHistory      : () => entryStore.clear('scroll'),
+        registerScrollContainer : addScrollContainer,
+
+        // The state kept with a history entry - the same value as route.state
+        getEntryState : getEntryState,
+        setEntryState : setEntryState,
+
+        // Browser history control
+        go      : (n) => (setUp(), history.go(n)),
+        back    : ()  => (setUp(), history.go(-1)),
+        forward : ()  => (setUp(), history.go(1)),
+        backOr  : backOr,
+
+        // The entries this router has shown (see trackEntry)
+        canGoBack    : canGoBack,
+        canGoForward : canGoForward,
+        history      : {
+            entries   : () => stackEntries.map(entry => ({ ...entry, route: { ...entry.route } })),
+            index     : () => stackIndex,
+            direction : () => lastDirection
+        },
+
+        // Cleanup for single-page apps
+        destroy: () => {
+            destroyed = true;
+            lastUrl   = '';
+
+            // Cancel the navigation still in flight, and back navigations backOr() waits for
+            pendingNavigation?.controller?.abort();
+            pendingNavigation = null;
+            popWaiters.forEach(resolve => resolve(createNavigationFailure(NavigationFailureType.cancelled, route, route)));
+            popWaiters = [];
+
+            // Remove event listeners
+            stopListening();
+            globalObj.document?.removeEventListener?.('click', handleLinkClick);
+            globalObj.removeEventListener?.('scroll', updateScrollTracking);
+            globalObj.removeEventListener?.('pagehide', handlePageHide);
+            if (started && options.scrollBehavior && scrollRestoration !== undefined) {
+                globalObj.history.scrollRestoration = scrollRestoration;
+            }
+
+            // Clear all arrays and maps
+            beforeListeners.length = 0;
+            afterListeners.length  = 0;
+            leaveGuards.length     = 0;
+            transitionHooks.length = 0;
+            statusCallbacks.length = 0;
+            scrollCallbacks.length = 0;
+            eventListeners.clear();
+            entryStore.forget();
+            stackEntries = [];
+            stackIndex   = -1;
+            scrollContainers.clear();
+        }
+    };
+
+    return router;
+}
+
+// CommonJS exports
+module.exports         = createRouter;
+module.exports.default = createRouter;
+
+// Named exports for specific utilities
+module.exports.createRouter             = createRouter;
+module.exports.paramsToObj              = paramsToObj;
+module.exports.coerceValue              = coerceValue;
+module.exports.coerceParams             = coerceParams;
+module.exports.stringifyParams          = stringifyParams;
+module.exports.createStoragePersistence = createStoragePersistence;
+module.exports.param                    = param;
+module.exports.defineRoute              = defineRoute;
+module.exports.createAuthGuard          = createAuthGuard;
+module.exports.NavigationFailureType    = NavigationFailureType;
+module.exports.isNavigationFailure      = isNavigationFailure;
+
+// Default instance - not started, so requiring the module attaches no listeners
+// Falls back to memory mode outside the browser so the module can be required in Node
+module.exports.router = createRouter(globalThis, { mode: globalThis.location ? 'hash' : 'memory' });
@@ -51,6 +51,551 @@ export interface TypedRouteParams {
   [key: string]: (string | number | boolean | null | undefined)[];
 }
 
+/**
+ * Values captured from dynamic path segments, keyed by segment name.
+ *
+ * Unlike hash and query parameters, a path segment holds exactly one value,
+ * so these are plain values rather than arrays. A wildcard (`*`) is stored
+ * under the `pathMatch` key.
+ *
+ * @example
+ * ```typescript
+ * // Pattern: users/:id/posts/:postId, URL: #!/users/42/posts/7
+ * const pathParams: PathParams = { id: "42", postId: "7" };
+ * ```
+ */
+export interface PathParams {
+  [key: string]: string;
+}
+
+/**
+ * Type-coerced path segment values, using the same conversions as `TypedRouteParams`.
+ *
+ * @example
+ * ```typescript
+ * // Pattern: users/:id, URL: #!/users/42
+ * const typed: TypedPathParams = { id: 42 };
+ * ```
+ */
+export interface TypedPathParams {
+  [key: string]: string | number | boolean | null | undefined;
+}
+
+/**
+ * Schema for a single route parameter, created with the `param` builders.
+ * `T` is the type the parameter has on `route.validated`.
+ */
+export interface ParamSchema<T = unknown> {
+  /** Type name used in error messages, e.g. `"int"` or `"int[]"` */
+  type: string;
+  /** Parses one raw string value; throws an `Error` ("expected ...") when invalid */
+  parseValue: (raw: string) => unknown;
+  /** Whether all repeated values are parsed into an array (`param.arrayOf`) */
+  multiple: boolean;
+  /** Whether a missing value is allowed */
+  optional: boolean;
+  /** Value used when the parameter is missing */
+  default?: T;
+}
+
+/**
+ * Shorthands accepted in place of a `ParamSchema`: a type name or a custom parser.
+ */
+export type ParamSchemaShorthand =
+  | 'string'
+  | 'int'
+  | 'float'
+  | 'boolean'
+  | 'date'
+  | ((raw: string) => unknown);
+
+/**
+ * The `params` schema of a route record, by parameter name.
+ */
+export type ParamSchemaMap = Record<string, ParamSchema | ParamSchemaShorthand>;
+
+/**
+ * Options accepted by every `param` builder.
+ */
+export interface ParamOptions<T> {
+  /** A missing value is left out instead of failing validation */
+  optional?: boolean;
+  /** Value used when the parameter is missing (implies `optional`) */
+  default?: T;
+}
+
+/**
+ * Type of a parameter after validation, given the builder options.
+ */
+export type ParamValue<T, O> =
+  O extends { default: unknown } ? T :
+  O extends { optional: true } ? T | undefined :
+  T;
+
+/**
+ * Type produced by a single schema entry.
+ */
+export type InferParamType<S> =
+  S extends ParamSchema<infer T> ? T :
+  S extends 'string' ? string :
+  S extends 'int' | 'float' ? number :
+  S extends 'boolean' ? boolean :
+  S extends 'date' ? Date :
+  S extends (raw: string) => infer R ? R :
+  unknown;
+
+/**
+ * Type of `route.validated` for a `params` schema.
+ *
+ * @example
+ * ```typescript
+ * type UserParams = InferParams<{ id: ParamSchema<number>; tab: 'string' }>;
+ * // → { id: number; tab: string }
+ * ```
+ */
+export type InferParams<S> = { [K in keyof S]: InferParamType<S[K]> };
+
+/**
+ * A parameter that failed schema validation.
+ */
+export interface ParamError {
+  /** Parameter name */
+  key: string;
+  /** The raw value(s), or `undefined` when the parameter was missing */
+  value: string | string[] | undefined;
+  /** What was wrong, e.g. `"expected an integer"` or `"is required"` */
+  message: string;
+}
+
+/**
+ * Error a navigation is aborted with when its params fail validation
+ * and no `onInvalidParams` handler decided otherwise.
+ */
+export interface InvalidParamsError extends Error {
+  /** Every missing or invalid parameter */
+  errors: ParamError[];
+}
+
+/**
+ * Meta fields of a route record. Matched records' fields are merged from parent
+ * to child onto `route.meta`, so children inherit what they don't set themselves.
+ * Any other fields are allowed; augment this interface to type your own.
+ */
+export interface RouteMeta {
+  /** Only authenticated users may enter (see `createAuthGuard()`) */
+  requiresAuth?: boolean;
+  /** Roles or permissions of which users need at least one (see `createAuthGuard()`) */
+  roles?: string | string[];
+  /** Page title */
+  title?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * A route record declared in the `routes` option of `createRouter()`.
+ *
+ * **Pattern syntax:**
+ * - Static segments: `"about"`, `"settings/profile"`
+ * - Dynamic segments: `"users/:id"`
+ * - Optional segments: `":lang?/docs"`
+ * - Wildcards: `"files/*"` (captured as `pathMatch`)
+ *
+ * Records are matched in declaration order; the first match wins.
+ * Any additional properties are preserved and available on `route.record`.
+ *
+ * **Nesting:** child paths are relative to their parent unless they start with `/`.
+ * A matched child yields `route.matched = [parent, child]`.
+ *
+ * @example
+ * ```typescript
+ * const routes: RouteRecord[] = [
+ *   { path: '' },
+ *   { path: 'users/:id/posts/:postId' },
+ *   {
+ *     path: 'settings',
+ *     beforeEnter: requireLogin,
+ *     children: [
+ *       { path: ''       },   // #!/settings
+ *       { path: 'profile' },  // #!/settings/profile
+ *       { path: 'billing' }   // #!/settings/billing
+ *     ]
+ *   },
+ *   { path: '*' }
+ * ];
+ * ```
+ */
+export interface RouteRecord<S extends ParamSchemaMap = any> {
+  /** Path pattern, with or without a leading slash */
+  path: string;
+
+  /** Unique name used to build URLs with `push({ name })`, `resolve()` and `href()` */
+  name?: string;
+
+  /** Nested records, matched relative to this record's path */
+  children?: RouteRecord[];
+
+  /**
+   * Guard(s) run when navigation enters this record, before the global `beforeEach` guards.
+   * Guards of matched records run one at a time from parent to child.
+   * Records shared by the current and the next route are not re-entered.
+   */
+  beforeEnter?: NavigationGuard<InferParams<S>> | NavigationGuard<InferParams<S>>[];
+
+  /**
+   * Guard(s) run when navigation leaves this record, from child to parent.
+   * These run before any other guard.
+   */
+  beforeLeave?: NavigationGuard<InferParams<S>> | NavigationGuard<InferParams<S>>[];
+
+  /**
+   * Guard(s) run when this record stays matched but the URL changes,
+   * e.g. `users/1` → `users/2`, or a parent layout whose child changes.
+   */
+  beforeUpdate?: NavigationGuard<InferParams<S>> | NavigationGuard<InferParams<S>>[];
+
+  /**
+   * Sends navigations to this record somewhere else, before any guard runs.
+   * String redirects without a query string keep the original query.
+   * Redirect loops abort the navigation.
+   *
+   * @example
+   * ```typescript
+   * { path: 'profile', redirect: 'account' }
+   * { path: 'old-user/:id', redirect: (to) => ({ name: 'user', params: { id: to.pathParams.id } }) }
+   * ```
+   */
+  redirect?: RouteLocationRaw | ((to: Route) => RouteLocationRaw);
+
+  /**
+   * Extra path pattern(s) that match this record while keeping the URL as visited.
+   * Aliases are never used to build URLs for named routes.
+   *
+   * @example
+   * ```typescript
+   * { path: 'users/:id', alias: ['u/:id', 'people/:id'] }
+   * ```
+   */
+  alias?: string | string[];
+
+  /**
+   * Component for this record. Functions are treated as lazy loaders and awaited
+   * (a module's `default` export is used); loaded components are cached.
+   *
+   * @example
+   * ```typescript
+   * { path: 'users/:id', component: () => import('./views/User.js') }
+   * ```
+   */
+  component?: unknown | (() => Promise<unknown>);
+
+  /**
+   * Data to resolve before the navigation completes, by key.
+   * Resolvers run in parallel after all guards passed; a rejection aborts navigation.
+   * Results are exposed as `route.data`.
+   *
+   * @example
+   * ```typescript
+   * { path: 'users/:id', resolve: { user: (to) => fetchUser(to.pathParams.id) } }
+   * ```
+   */
+  resolve?: Record<string, RouteResolver | unknown>;
+
+  /**
+   * Schemas validating and parsing this record's parameters into `route.validated`.
+   * Keys are looked up in the path params, then the hash query, then the page query.
+   * Children inherit the schemas of their parents. Invalid params abort the
+   * navigation before any guard runs, unless `onInvalidParams` redirects.
+   * Use `defineRoute()` to get typed guards.
+   *
+   * @example
+   * ```typescript
+   * {
+   *   path: 'users/:id',
+   *   params: {
+   *     id: param.int(),
+   *     tab: param.enum(['posts', 'likes'], { default: 'posts' }),
+   *     zip: param.string({ optional: true })
+   *   }
+   * }
+   * ```
+   */
+  params?: S;
+
+  /**
+   * What to do when params fail validation: a location to redirect to, or a function
+   * returning a guard result. The closest matched record's handler is used.
+   * Without one the navigation is aborted with an `InvalidParamsError`.
+   */
+  onInvalidParams?: RouteLocationRaw | ((to: Route, errors: ParamError[]) => NavigationGuardResult);
+
+  /**
+   * Scroll behavior for navigations to this record, overriding the router's
+   * `scrollBehavior` option. The closest matched record's function wins.
+   *
+   * @example
+   * ```typescript
+   * { path: 'docs/:page', scrollBehavior: (to) => ({ el: 'main', top: 64 }) }
+   * ```
+   */
+  scrollBehavior?: ScrollBehavior;
+
+  /**
+   * Meta fields for guards and layouts, merged from parent to child onto `route.meta`.
+   *
+   * @example
+   * ```typescript
+   * { path: 'admin', meta: { requiresAuth: true }, children: [
+   *   { path: 'billing', meta: { roles: ['admin'], title: 'Billing' } }   // to.meta.requiresAuth === true
+   * ] }
+   * ```
+   */
+  meta?: RouteMeta;
+
+  /** Custom properties are kept on the record */
+  [key: string]: unknown;
+}
+
+/**
+ * Value accepted in a location's `params` or `query` object.
+ * Arrays are serialized with the router's `queryFormat` (repeated keys by default,
+ * mirroring how `RouteParams` are parsed). Nested objects use bracket keys: `filter[price]=10`.
+ */
+export type LocationParamValue =
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | LocationParamValue[]
+  | { [key: string]: LocationParamValue };
+
+/**
+ * Navigation target described as an object instead of a string.
+ *
+ * Use `name` to build the path from a named route record, or `path` for a literal path.
+ *
+ * @example
+ * ```typescript
+ * // Route: { path: 'users/:id', name: 'user' }
+ * const to: RouteLocation = {
+ *   name: 'user',
+ *   params: { id: 42 },                        // fills :id
+ *   query: { tab: 'posts', tag: ['a', 'b'] }   // ?tab=posts&tag=a&tag=b
+ * };
+ * // → "#!/users/42?tab=posts&tag=a&tag=b"
+ * ```
+ */
+export interface RouteLocation {
+  /** Name of a route record; takes precedence over `path` */
+  name?: string;
+  /** Literal route path, used when no `name` is given */
+  path?: string;
+  /** Values for dynamic segments; unused keys are appended to the query string */
+  params?: Record<string, LocationParamValue>;
+  /** Parameters serialized after the `?` in the hash */
+  query?: Record<string, LocationParamValue>;
+}
+
+/**
+ * Anything that can be passed to `push()`, `replace()`, `resolve()` or `href()`.
+ */
+export type RouteLocationRaw = string | RouteLocation;
+
+/**
+ * A route resolved without navigating, including the URL it would produce.
+ */
+export interface ResolvedRoute extends Route {
+  /** The link href for this route (`#!/...` in hash mode, `/base/...` in history mode) */
+  href: string;
+}
+
+/**
+ * Function resolving a value for `RouteRecord.resolve`.
+ * Use `to.navigation.signal` to abort work when the navigation is cancelled.
+ */
+export type RouteResolver = (to: Route, from: Route) => unknown | Promise<unknown>;
+
+/**
+ * Options accepted by `createRouter()`.
+ */
+export interface RouterOptions {
+  /**
+   * Route table matched against the path on every navigation.
+   * Matching results are exposed as `route.matched`, `route.record` and `route.pathParams`.
+   */
+  routes?: RouteRecord[];
+
+  /**
+   * How URLs are stored.
+   * - `'hash'` (default): `#!/path?key=value`, works on any static host
+   * - `'history'`: clean `/path?key=value` URLs via `pushState`/`popstate`;
+   *   the server must serve the app for every route
+   * - `'memory'`: an in-memory entry stack that never touches the page URL;
+   *   for Node, unit tests and embedded widgets
+   */
+  mode?: RouterMode;
+
+  /**
+   * Path prefix the app is served from in `'history'` mode.
+   *
+   * @example "/app" → URLs look like `/app/users/42`
+   */
+  base?: string;
+
+  /**
+   * Starting URL in `'memory'` mode.
+   *
+   * @example "users/42?tab=posts"
+   */
+  initialPath?: string;
+
+  /**
+   * Hash mode only: keep routes under `#namespace!/` so the router can share the page
+   * with other routers. Each router ignores hashes outside its namespace.
+   * @example "panel" // URLs look like #panel!/details?id=7
+   */
+  namespace?: string;
+
+  /**
+   * Intercept clicks on router links and mark links to the current route.
+   * Pass `true` for the defaults or an object to customize class names.
+   *
+   * Handled elements: same-origin `<a href>` pointing at a route, and any
+   * element with `data-router-link="path"`. Clicks with modifier keys, links with
+   * `target` or `download`, and anything inside `data-router-ignore` are left to the browser.
+   * Add `data-router-replace` to replace the current history entry instead of pushing.
+   */
+  links?: boolean | LinkOptions;
+
+  /**
+   * How array values are written to query strings. Default: `'repeat'`.
+   */
+  queryFormat?: QueryFormat;
+
+  /**
+   * Swap routes inside `document.startViewTransition()` where the browser supports it;
+   * elsewhere routes are swapped directly. The navigation direction is added to the
+   * transition's types, so CSS can animate back navigations differently. Default: `false`.
+   *
+   * @example
+   * ```css
+   * html:active-view-transition-type(back)::view-transition-old(root) {
+   *   animation-name: slide-out-to-right;
+   * }
+   * ```
+   */
+  viewTransition?: boolean;
+
+  /**
+   * Decides where to scroll after each navigation. Records can override it with
+   * their own `scrollBehavior`. Without one, saved positions are restored on back/forward.
+   * Setting it switches `history.scrollRestoration` to `'manual'` from `start()` until `destroy()`.
+   */
+  scrollBehavior?: ScrollBehavior;
+
+  /**
+   * Keep per-entry scroll positions and state across reloads.
+   * `true` uses sessionStorage with the default limits.
+   */
+  persist?: boolean | PersistOptions;
+}
+
+/**
+ * Storage used by the `persist` option. Errors should be handled by the adapter.
+ *
+ * @example
+ * ```typescript
+ * // Keep positions when the tab is closed, too
+ * const storage = createStoragePersistence(localStorage, 'my-app-router');
+ * ```
+ */
+export interface PersistenceAdapter {
+  /** Returns the saved data, or `null` when there is none */
+  load(): Record<string, PersistedEntry> | null;
+  /** Stores the data (already trimmed to the configured limits) */
+  save(data: Record<string, PersistedEntry>): void;
+}
+
+/**
+ * Data kept for a single history entry.
+ */
+export interface PersistedEntry {
+  /** Position captured when the entry was left */
+  scroll?: ScrollPosition;
+  /** State the entry was pushed with or given through `setEntryState()` */
+  state?: unknown;
+  /** When the entry last changed; the oldest entries are evicted first */
+  updatedAt: number;
+}
+
+/**
+ * Options for the `persist` router option.
+ */
+export interface PersistOptions {
+  /** Where to store entries. Default: sessionStorage */
+  storage?: PersistenceAdapter;
+  /** Storage key used by the default adapter. Default: `'vanilla-router'` */
+  key?: string;
+  /** Maximum number of entries kept (also applies in memory). Default: `50` */
+  maxEntries?: number;
+  /** Maximum size of the serialized data in characters. Default: `65536` */
+  maxSize?: number;
+}
+
+/**
+ * Array serialization for query strings, e.g. for `{ tags: ['a', 'b'] }`:
+ * - `'repeat'`: `tags=a&tags=b`
+ * - `'bracket'`: `tags[]=a&tags[]=b`
+ * - `'comma'`: `tags=a,b`
+ * - a function returning the `[key, value]` pairs to append
+ *
+ * Parsed params keep the serialized keys (`route.params['tags[]']`).
+ */
+export type QueryFormat =
+  | 'repeat'
+  | 'bracket'
+  | 'comma'
+  | ((key: string, values: string[]) => [string, string][]);
+
+/**
+ * Options accepted by `push()` and `replace()`.
+ */
+export interface NavigationOptions {
+  /**
+   * Data stored with the new history entry and exposed as `route.state`.
+   * Back/forward brings it back. Browser modes keep it in `history.state`,
+   * so it must be structured-cloneable.
+   */
+  state?: unknown;
+}
+
+/**
+ * Options accepted by `updateQuery()` and `updateParams()`.
+ */
+export interface UpdateOptions extends NavigationOptions {
+  /** Replace the current history entry instead of adding one */
+  replace?: boolean;
+  /** Array serialization for this update; defaults to the router's `queryFormat` */
+  format?: QueryFormat;
+}
+
+/**
+ * Class names used by the link interceptor.
+ *
+ * Links also get `aria-current="page"` when they are exact-active.
+ */
+export interface LinkOptions {
+  /** Added when the current path equals the link path or is below it. Default: `router-link-active` */
+  activeClass?: string;
+  /** Added when the current path equals the link path. Default: `router-link-exact-active` */
+  exactActiveClass?: string;
+}
+
+/**
+ * History mode names accepted by the `mode` option.
+ */
+export type RouterMode = 'hash' | 'history' | 'memory';
+
 /**
  * Complete route information object containing path and all parameter variations.
  *
@@ -61,14 +606,19 @@ export interface TypedRouteParams {
  * // URL: #!/user?id=123&tab=profile
  * const route: Route = {
  *   path: "user",
+ *   fullPath: "user?id=123&tab=profile",
  *   params: { id: ["123"], tab: ["profile"] },
  *   paramsTyped: { id: [123], tab: ["profile"] },
  *   query: {},
- *   queryTyped: {}
+ *   queryTyped: {},
+ *   matched: [],
+ *   record: null,
+ *   pathParams: {},
+ *   pathParamsTyped: {}
  * };
  * ```
  */
-export interface Route {
+export interface Route<TValidated extends Record<string, unknown> = Record<string, unknown>> {
   /**
    * The route path extracted from hash (after #!/).
    *
@@ -76,8 +626,17 @@ export interface Route {
    */
   path: string;
 
+  /**
+   * The route path including its query string.
+   *
+   * @example "user?id=123&tab=profile"
+   */
+  fullPath: string;
+
   /**
    * Raw query parameters from URL search string (?key=value).
+   * In `'history'` mode this mirrors `params`, since the router owns the only query string.
+   * Always empty in `'memory'` mode.
    * All values are strings in arrays for consistency.
    *
    * @example
@@ -87,7 +646,8 @@ export interface Route {
   query: RouteParams;
 
   /**
-   * Raw parameters from hash fragment (#!/path?key=value).
+   * Raw parameters from hash fragment (#!/path?key=value),
+   * or from the URL search string in `'history'` mode.
    * All values are strings in arrays for consistency.
    *
    * @example
@@ -115,6 +675,159 @@ export interface Route {
    * Result: `{ users: [1500], revenue: [45000.5], active: [true] }`
    */
   paramsTyped: TypedRouteParams;
+
+  /**
+   * Route records matching the path, ordered from root to leaf.
+   * Use it to render nested layouts. Empty when no record matches
+   * or when no `routes` option was given.
+   */
+  matched: RouteRecord[];
+
+  /**
+   * The matched leaf route record, or `null` when nothing matched.
+   */
+  record: RouteRecord | null;
+
+  /**
+   * Meta fields of the matched records merged from parent to child (child fields win).
+   * Each route gets its own copy; empty when nothing matched.
+   */
+  meta: RouteMeta;
+
+  /**
+   * Raw (decoded) values of dynamic path segments.
+   *
+   * @example
+   * Pattern: `users/:id`, URL: `#!/users/42`
+   * Result: `{ id: "42" }`
+   */
+  pathParams: PathParams;
+
+  /**
+   * Type-coerced values of dynamic path segments.
+   *
+   * @example
+   * Pattern: `users/:id`, URL: `#!/users/42`
+   * Result: `{ id: 42 }`
+   */
+  pathParamsTyped: TypedPathParams;
+
+  /**
+   * Parameters parsed by the `params` schemas of the matched records,
+   * including defaults for missing ones. Keys with invalid values are left out.
+   *
+   * @example
+   * Schema: `{ id: param.int(), tab: param.string({ default: 'posts' }) }`, URL: `#!/users/42`
+   * Result: `{ id: 42, tab: "posts" }`
+   */
+  validated: TValidated;
+
+  /**
+   * Parameters that failed schema validation. Empty when everything is valid.
+   */
+  paramErrors: ParamError[];
+
+  /**
+   * The navigation that produced this route. Absent on the initial route until
+   * `start()` has navigated to it (or when a guard aborted that navigation),
+   * and on routes returned by `resolve()`.
+   */
+  navigation?: NavigationInfo;
+
+  /**
+   * The originally requested route when a record `redirect` led here.
+   */
+  redirectedFrom?: Route;
+
+  /**
+   * Loaded components of the matched records, aligned with `matched`
+   * (`null` for records without a component).
+   */
+  components: unknown[];
+
+  /**
+   * Loaded component of the leaf record, or `null`.
+   */
+  component: unknown;
+
+  /**
+   * Values produced by the `resolve` entries of the matched records.
+   * When parent and child use the same key, the child's value wins.
+   */
+  data: Record<string, unknown>;
+
+  /**
+   * The state the history entry was pushed with (`push(to, { state })`), or `null`.
+   * Record and guard redirects keep the state of the original navigation.
+   *
+   * @example
+   * ```typescript
+   * await router.push('/photos/7', { state: { modal: true } });
+   * router.currentRoute().state; // { modal: true }, again after back() and forward()
+   * ```
+   */
+  state: unknown;
+}
+
+/**
+ * Identifies a single navigation while its guards run.
+ *
+ * Starting a newer navigation cancels the pending one: its `signal` is aborted,
+ * its remaining guards are skipped and it fails with `NavigationFailureType.cancelled`.
+ *
+ * @example
+ * ```typescript
+ * router.beforeEach(async (to) => {
+ *   // Abort the request when the user navigates elsewhere
+ *   const user = await fetch(`/api/users/${to.pathParams.id}`, {
+ *     signal: to.navigation?.signal ?? undefined
+ *   });
+ * });
+ * ```
+ */
+export interface NavigationInfo {
+  /** Increasing number identifying the navigation */
+  id: number;
+  /** Aborted when the navigation is cancelled (`null` without AbortController support) */
+  signal: AbortSignal | null;
+  /** `Date.now()` when the navigation started */
+  startedAt: number;
+  /** How the navigation moves through history, e.g. to animate back navigations differently */
+  direction: NavigationDirection;
+}
+
+/**
+ * How a navigation moved through the router's entries:
+ * a new entry, the current entry replaced, or back/forward to a known entry.
+ */
+export type NavigationDirection = 'push' | 'replace' | 'back' | 'forward';
+
+/**
+ * A history entry the router has shown (see `Router.history`).
+ */
+export interface HistoryEntry {
+  /** Key of the history entry, as used by `getEntryState()` */
+  key: string;
+  /** The route the entry shows */
+  route: Route;
+  /** `Date.now()` when the entry last showed its route */
+  timestamp: number;
+}
+
+/**
+ * The router's own stack of history entries, oldest first.
+ *
+ * It holds the entries the router has shown since `start()`: pushed and replaced
+ * entries, plus entries the browser added for typed URLs and plain links.
+ * Entries from before a reload are not known, so the stack starts over after one.
+ */
+export interface RouterHistory {
+  /** Copies of the entries, oldest first (empty until the router starts) */
+  entries(): HistoryEntry[];
+  /** Position of the current entry in `entries()`, `-1` until the router starts */
+  index(): number;
+  /** How the last navigation moved, `null` before the first one */
+  direction(): NavigationDirection | null;
 }
 
 /**
@@ -137,19 +850,38 @@ export interface RouteState {
   from: Route;
 }
 
+/**
+ * Value a navigation guard can return (or pass to `next()`).
+ *
+ * - `undefined` / `true`: Continue with the next guard
+ * - `false`: Abort navigation
+ * - `Error`: Abort navigation, reporting the error
+ * - Path string or location object: Redirect there instead
+ */
+export type NavigationGuardResult = void | undefined | boolean | Error | RouteLocationRaw;
+
+/**
+ * Callback passed to guards that declare a third parameter.
+ * Navigation waits until it is called; `next(value)` behaves like returning `value`.
+ */
+export type NavigationGuardNext = (value?: NavigationGuardResult) => void;
+
 /**
  * Navigation guard function that can prevent or modify navigation.
  *
+ * Guards run one at a time in registration order. The first guard with a
+ * decisive result (abort or redirect) ends the pipeline; later guards are skipped.
+ *
  * **Guards can:**
  * - Inspect the destination route before navigation
- * - Throw errors to cancel navigation
+ * - Return `false` or an `Error` (or throw) to cancel navigation
+ * - Return a path or location object to redirect
  * - Perform async operations (API calls, auth checks)
  * - Update page content based on the new route
  *
- * **To cancel navigation:** Throw an error or reject a promise
- *
  * @param to - The route being navigated to
  * @param from - The route being navigated from
+ * @param next - Optional callback for `next()`-style guards
  *
  * @example
  * ```typescript
@@ -163,42 +895,226 @@ export interface RouteState {
  *   await loadUserData(to.params.id);
  * };
  *
+ * const loginRedirect: NavigationGuard = (to) => {
+ *   if (to.path === 'account' && !user.isAuthenticated) {
+ *     return { path: 'login', query: { redirect: to.fullPath } };
+ *   }
+ * };
+ *
  * router.beforeEach(authGuard);
+ * router.beforeEach(loginRedirect);
  * ```
  */
-export type NavigationGuard = (to: Route, from: Route) => void | Promise<void>;
+export type NavigationGuard<TValidated extends Record<string, unknown> = Record<string, unknown>> = (
+  to: Route<TValidated>,
+  from: Route,
+  next: NavigationGuardNext
+) => NavigationGuardResult | Promise<NavigationGuardResult>;
+
+/**
+ * Navigation hook that runs after successful navigation.
+ *
+ * **Hooks are useful for:**
+ * - Analytics tracking
+ * - Updating page titles
+ * - Cleaning up resources
+ * - Logging navigation events
+ *
+ * **Note:** Hooks cannot cancel navigation (it's already complete)
+ *
+ * @param to - The route that was navigated to
+ * @param from - The route that was navigated from
+ *
+ * @example
+ * ```typescript
+ * const analyticsHook: NavigationHook = (to, from) => {
+ *   // Track page views
+ *   analytics.track('page_view', {
+ *     page: to.path,
+ *     referrer: from.path
+ *   });
+ *
+ *   // Update page title
+ *   document.title = `My App - ${to.path}`;
+ * };
+ *
+ * router.afterEach(analyticsHook);
+ * ```
+ */
+export type NavigationHook = (to: Route, from: Route) => void;
+
+/**
+ * Passed to transition hooks along with the routes.
+ */
+export interface TransitionContext {
+  /** How the navigation moves through history */
+  direction: NavigationDirection;
+  /** Aborted when a newer navigation takes over (`null` without AbortController support) */
+  abortSignal: AbortSignal | null;
+}
+
+/**
+ * Function awaited after the guards pass and before the route is swapped (see `Router.onTransition`).
+ */
+export type TransitionHook = (to: Route, from: Route, context: TransitionContext) => void | Promise<void>;
+
+/**
+ * Reasons a navigation can fail.
+ *
+ * - `aborted`: A guard returned `false` or an `Error`, or threw
+ * - `cancelled`: The navigation was superseded before it could finish
+ * - `duplicated`: The target is the current route
+ * - `redirected`: A guard redirected the navigation (the redirect target was reached)
+ */
+export declare const NavigationFailureType: {
+  readonly aborted: 'aborted';
+  readonly cancelled: 'cancelled';
+  readonly duplicated: 'duplicated';
+  readonly redirected: 'redirected';
+};
+
+/**
+ * One of the `NavigationFailureType` values.
+ */
+export type NavigationFailureTypeValue =
+  (typeof NavigationFailureType)[keyof typeof NavigationFailureType];
+
+/**
+ * Result of a `push()`/`replace()` that didn't reach its target.
+ *
+ * @example
+ * ```typescript
+ * const failure = await router.push('/admin');
+ * if (failure) {
+ *   console.log(failure.type);        // "aborted"
+ *   console.log(failure.to.path);     // "admin"
+ *   console.log(failure.from.path);   // "home"
+ *   console.log(failure.error);       // Error thrown or returned by the guard, if any
+ * }
+ * ```
+ */
+export interface NavigationFailure extends Error {
+  /** Why the navigation failed */
+  type: NavigationFailureTypeValue;
+  /** The route the navigation started from */
+  from: Route;
+  /** The route the navigation tried to reach */
+  to: Route;
+  /** The original error, when a guard threw or returned one */
+  error: Error | null;
+}
+
+/**
+ * Kind of navigation status update.
+ */
+export type StatusType = 'info' | 'loading' | 'success' | 'error';
+
+/**
+ * Callback receiving navigation status updates.
+ *
+ * @param status - Human readable status, e.g. "🔄 Navigating..." or "❌ Access denied"
+ * @param type - Kind of update
+ * @param context - Current and previous route at the time of the update
+ */
+export type StatusCallback = (
+  status: string,
+  type: StatusType,
+  context: { route: Route; prevRoute: Route }
+) => void;
+
+/**
+ * Fields every lifecycle event carries.
+ */
+export interface RouterEventBase<T extends RouterEventName = RouterEventName> {
+  /** Event name */
+  type: T;
+  /** `Date.now()` when the event was emitted */
+  timestamp: number;
+}
+
+/**
+ * Fields of navigation events.
+ */
+export interface NavigationEventBase<T extends RouterEventName> extends RouterEventBase<T> {
+  /** Id of the navigation (see `Route.navigation`), `null` when it ended before guards ran */
+  navigationId: number | null;
+  /** Route being left */
+  from: Route;
+  /** Route being navigated to */
+  to: Route;
+  /** Milliseconds since `navigationStart` */
+  duration: number;
+}
+
+/**
+ * Fields of guard events.
+ */
+export interface GuardEventBase<T extends RouterEventName> extends NavigationEventBase<T> {
+  /** Position of the guard in the order guards run */
+  guardIndex: number;
+  /** Number of guards running for the navigation */
+  guardCount: number;
+}
 
 /**
- * Navigation hook that runs after successful navigation.
- *
- * **Hooks are useful for:**
- * - Analytics tracking
- * - Updating page titles
- * - Cleaning up resources
- * - Logging navigation events
- *
- * **Note:** Hooks cannot cancel navigation (it's already complete)
- *
- * @param to - The route that was navigated to
- * @param from - The route that was navigated from
- *
- * @example
- * ```typescript
- * const analyticsHook: NavigationHook = (to, from) => {
- *   // Track page views
- *   analytics.track('page_view', {
- *     page: to.path,
- *     referrer: from.path
- *   });
- *
- *   // Update page title
- *   document.title = `My App - ${to.path}`;
- * };
- *
- * router.afterEach(analyticsHook);
- * ```
+ * Payload of each lifecycle event, by event name.
  */
-export type NavigationHook = (to: Route, from: Route) => void;
+export interface RouterEventMap {
+  /** Guards are about to run for a new navigation */
+  navigationStart: NavigationEventBase<'navigationStart'>;
+  /** A route record or a guard sent the navigation elsewhere */
+  redirect: NavigationEventBase<'redirect'> & {
+    source: 'record' | 'guard';
+    /** Router-relative URL of the redirect target */
+    redirectTo: string;
+  };
+  /** A guard is called */
+  guardStart: GuardEventBase<'guardStart'>;
+  /** A guard decided */
+  guardEnd: GuardEventBase<'guardEnd'> & {
+    result: 'next' | 'abort' | 'redirect' | 'cancelled';
+    /** Error the guard returned or threw */
+    error: Error | null;
+  };
+  /** Lazy components and route data start loading */
+  loadStart: NavigationEventBase<'loadStart'>;
+  /** The route changed */
+  navigationEnd: NavigationEventBase<'navigationEnd'>;
+  /** A guard or loader aborted the navigation, or redirects looped */
+  navigationError: NavigationEventBase<'navigationError'> & {
+    /** `null` when a guard returned `false` */
+    error: Error | null;
+  };
+  /** A newer navigation took over */
+  navigationCancelled: NavigationEventBase<'navigationCancelled'>;
+  /** The router scrolled to a position */
+  scrollRestore: RouterEventBase<'scrollRestore'> & {
+    route: Route;
+    /** Position as saved or returned by `scrollBehavior` */
+    position: ScrollTarget;
+    /** Window coordinates scrolled to */
+    left: number;
+    top: number;
+  };
+}
+
+/**
+ * Name of a lifecycle event.
+ */
+export type RouterEventName = keyof RouterEventMap;
+
+/**
+ * Any lifecycle event, narrowed by its `type`.
+ */
+export type RouterEvent = RouterEventMap[RouterEventName];
+
+/**
+ * Options for `router.on()`.
+ */
+export interface RouterEventOptions {
+  /** Remove the listener after its first call */
+  once?: boolean;
+}
 
 /**
  * Function to unsubscribe from navigation guards or hooks.
@@ -219,24 +1135,112 @@ export type NavigationHook = (to: Route, from: Route) => void;
 export type UnsubscribeFunction = () => void;
 
 /**
- * Scroll position data stored for each route.
- *
- * The router automatically captures and restores scroll positions
- * when navigating between routes.
+ * Scroll position data stored for each history entry.
  *
- * @internal This is primarily used internally by the router
+ * The router captures the position of the entry being left on every navigation
+ * and offers it to `scrollBehavior` when back/forward returns to that entry.
+ * It can be returned from `scrollBehavior` as-is.
  */
 export interface ScrollPosition {
   /** Window horizontal scroll position in pixels */
-  winX: number;
+  left: number;
   /** Window vertical scroll position in pixels */
-  winY: number;
-  /** Container element scroll position in pixels (if applicable) */
-  containerY: number;
+  top: number;
+  /** Positions of the registered scroll containers that were rendered, by key */
+  containers: Record<string, ContainerScrollPosition>;
   /** Timestamp when this position was captured */
   timestamp: number;
 }
 
+/**
+ * Where to scroll after a navigation.
+ *
+ * - `{ left, top }`: Window coordinates
+ * - `{ el, left, top }`: An element or selector; `left`/`top` are offsets
+ *   subtracted from its position (e.g. the height of a fixed header)
+ * - `behavior: 'smooth'` animates the scroll
+ */
+export interface ScrollTarget {
+  /** Element or CSS selector to scroll to; `"#id"` is looked up by id */
+  el?: string | Element;
+  /** Horizontal position, or offset from `el` */
+  left?: number;
+  /** Vertical position, or offset from `el` */
+  top?: number;
+  /** Native scroll behavior */
+  behavior?: 'auto' | 'smooth' | 'instant';
+  /** Registered scroll containers to restore as well, by key */
+  containers?: Record<string, ContainerScrollPosition>;
+}
+
+/**
+ * Scroll offsets of a registered scroll container.
+ */
+export interface ContainerScrollPosition {
+  /** `scrollLeft` in pixels */
+  left: number;
+  /** `scrollTop` in pixels */
+  top: number;
+}
+
+/**
+ * Decides where to scroll after each navigation.
+ * Return a falsy value to leave the scroll position alone, or a promise
+ * to wait (e.g. until data is rendered).
+ *
+ * @param to - The route navigated to
+ * @param from - The route navigated from
+ * @param savedPosition - Position saved for the history entry on back/forward, otherwise `null`
+ *
+ * @example
+ * ```typescript
+ * const scrollBehavior: ScrollBehavior = (to, from, savedPosition) => {
+ *   if (savedPosition) return savedPosition;
+ *   if (to.params.section) return { el: '#' + to.params.section[0], top: 64, behavior: 'smooth' };
+ *   return { top: 0 };
+ * };
+ * ```
+ */
+export type ScrollBehavior = (
+  to: Route,
+  from: Route,
+  savedPosition: ScrollPosition | null
+) => ScrollTarget | false | null | void | Promise<ScrollTarget | false | null | void>;
+
+/**
+ * Scroll event passed to `onScroll` callbacks.
+ *
+ * - `capture`: Position of the entry being left, about to be stored. Fields added
+ *   or changed by a callback are stored with it and come back in `savedPosition`.
+ * - `restore`: The router scrolled to a position (saved or from `scrollBehavior`)
+ * - `update`: The window scrolled
+ */
+export interface ScrollEvent {
+  /** Kind of scroll event */
+  type: 'capture' | 'restore' | 'update';
+  /** Path of the route shown */
+  route: string;
+  /** Window horizontal scroll position, or offset from `el` on restore */
+  left?: number;
+  /** Window vertical scroll position, or offset from `el` on restore */
+  top?: number;
+  /** Registered container positions (capture, and restore of a saved position) */
+  containers?: Record<string, ContainerScrollPosition>;
+  /** Element or selector scrolled to (restore only) */
+  el?: string | Element;
+  /** Native scroll behavior used (restore only) */
+  behavior?: ScrollTarget['behavior'];
+  /** When the position was read (capture and update) */
+  timestamp?: number;
+  /** Custom fields added by callbacks */
+  [key: string]: unknown;
+}
+
+/**
+ * Callback receiving scroll events.
+ */
+export type ScrollCallback = (scrollData: ScrollEvent) => void;
+
 /**
  * Main router interface providing all navigation and route management functionality.
  *
@@ -261,6 +1265,33 @@ export interface ScrollPosition {
  * ```
  */
 export interface Router {
+  /**
+   * Start the router: tag the current history entry, listen for URL changes,
+   * scrolling and link clicks, and navigate to the initial URL.
+   *
+   * The initial navigation goes through the same pipeline as any other: record
+   * redirects, param schemas, guards, lazy components and data. It begins on the
+   * next microtask, so guards registered right after `start()` apply to it.
+   * Redirects replace the history entry.
+   *
+   * Creating a router has no side effects until then. Runs once; the first
+   * `push()`, `replace()` or `go()` sets the router up when the app hasn't,
+   * without the initial navigation (the new route takes its place).
+   *
+   * @returns The router, for chaining
+   *
+   * @example
+   * ```typescript
+   * const router = createRouter(window, { routes }).start();
+   * ```
+   */
+  start(): Router;
+
+  /**
+   * Plugin-style alias of `start()`, for `app.use(router)`.
+   */
+  install(app?: unknown): Router;
+
   /**
    * Register a function to run before each navigation.
    *
@@ -270,7 +1301,11 @@ export interface Router {
    * - Route validation
    * - Loading states
    *
-   * **To cancel navigation:** Throw an error or reject a promise
+   * **To cancel navigation:** Return `false` or an `Error`, or throw
+   * **To redirect:** Return a path or location object
+   *
+   * The guard is not called on registration; guards registered before or right
+   * after `start()` see the initial URL through the initial navigation.
    *
    * @param guard - Function that receives (to, from) route objects
    * @returns Unsubscribe function to remove this guard
@@ -314,6 +1349,118 @@ export interface Router {
    */
   afterEach(hook: NavigationHook): UnsubscribeFunction;
 
+  /**
+   * Register a temporary guard that runs when navigation leaves the current screen.
+   *
+   * The screen is left when the matched leaf record changes (or, without a route table,
+   * when the path changes). The guard is removed automatically once that happens,
+   * so screens don't need to clean up after themselves.
+   *
+   * @param guard - Guard that can abort or redirect like any other guard
+   * @returns Unsubscribe function to remove the guard early
+   *
+   * @example
+   * ```typescript
+   * // Confirm before discarding unsaved changes
+   * router.onBeforeLeave(() => {
+   *   if (form.isDirty && !confirm('Discard your changes?')) return false;
+   * });
+   * ```
+   */
+  onBeforeLeave(guard: NavigationGuard): UnsubscribeFunction;
+
+  /**
+   * Register a hook that runs once a navigation has passed its guards and loaded its data,
+   * right before the route is swapped and `afterEach` hooks run.
+   *
+   * Returned promises are awaited (hooks run side by side), so an exit animation can
+   * finish before the next screen renders. When a newer navigation starts, `abortSignal`
+   * aborts and the navigation is cancelled without waiting any longer.
+   * Errors are logged and don't stop the navigation.
+   *
+   * @param hook - Function that receives (to, from, { direction, abortSignal })
+   * @returns Unsubscribe function to remove this hook
+   *
+   * @example
+   * ```typescript
+   * router.onTransition(async (to, from, { direction, abortSignal }) => {
+   *   const animation = view.animate(
+   *     [{ transform: `translateX(${direction === 'back' ? '100%' : '-100%'})` }],
+   *     { duration: 200 }
+   *   );
+   *   abortSignal?.addEventListener('abort', () => animation.finish());
+   *   await animation.finished;
+   * });
+   * ```
+   */
+  onTransition(hook: TransitionHook): UnsubscribeFunction;
+
+  /**
+   * Subscribe to a lifecycle event, or to every event with `'*'`.
+   *
+   * Events of one navigation share a `navigationId`; a successful one emits
+   * `navigationStart`, `guardStart`/`guardEnd` per guard, `loadStart` when it has
+   * lazy components or route data, and `navigationEnd`.
+   *
+   * @param event - Event name, or `'*'`
+   * @param callback - Receives the event object
+   * @param options - `{ once: true }` removes the listener after its first call
+   * @returns Unsubscribe function
+   * @throws Error for unknown event names
+   *
+   * @example
+   * ```typescript
+   * router.on('navigationEnd', ({ to, duration }) => {
+   *   telemetry.timing('navigation', duration, { route: to.record?.name });
+   * });
+   *
+   * router.on('*', (event) => {
+   *   if (event.type === 'navigationError') telemetry.error(event.error);
+   * });
+   * ```
+   */
+  on<K extends RouterEventName>(
+    event: K,
+    callback: (event: RouterEventMap[K]) => void,
+    options?: RouterEventOptions
+  ): UnsubscribeFunction;
+  on(event: '*', callback: (event: RouterEvent) => void, options?: RouterEventOptions): UnsubscribeFunction;
+
+  /**
+   * Subscribe to navigation status updates for UI feedback.
+   * Messages are derived from the lifecycle events - prefer `on()` for telemetry.
+   *
+   * Emitted while navigating (`loading`), while loading lazy components and
+   * resolving route data (`loading`), on success (`success`) and on failure (`error`).
+   *
+   * @param callback - Receives (status, type, context)
+   * @returns Unsubscribe function
+   *
+   * @example
+   * ```typescript
+   * router.onStatus((status, type) => {
+   *   spinner.hidden = type !== 'loading';
+   * });
+   * ```
+   */
+  onStatus(callback: StatusCallback): UnsubscribeFunction;
+
+  /**
+   * Subscribe to scroll events, e.g. to show the position or keep extra scroll state.
+   *
+   * @param callback - Receives the scroll event data
+   * @returns Unsubscribe function
+   *
+   * @example
+   * ```typescript
+   * router.onScroll((scrollData) => {
+   *   if (scrollData.type === 'update') positionLabel.textContent = `${scrollData.top}px`;
+   *   if (scrollData.type === 'capture') scrollData.selectedId = list.selectedId;
+   * });
+   * ```
+   */
+  onScroll(callback: ScrollCallback): UnsubscribeFunction;
+
   /**
    * Navigate to a new route programmatically (adds to browser history).
    *
@@ -322,25 +1469,32 @@ export interface Router {
    * - With params: `"user?id=123&tab=profile"`
    * - With leading slash: `"/products?category=books"`
    *
-   * @param path - Route path with optional parameters
-   * @returns Promise that resolves to true if navigation succeeded, false if cancelled
+   * @param to - Route path with optional parameters, or a location object
+   * @param options - `state` to store with the new history entry (see `NavigationOptions`)
+   * @returns Promise that resolves to `undefined` on success, or to a `NavigationFailure`
    *
    * @example
    * ```typescript
    * // Simple navigation
    * await router.push('/dashboard');
    *
+   * // Named route
+   * await router.push({ name: 'user', params: { id: 123 }, query: { tab: 'profile' } });
+   *
    * // With parameters
    * await router.push('/user?id=123&name=John&admin=true');
    *
-   * // Check if navigation succeeded
-   * const success = await router.push('/protected-area');
-   * if (!success) {
-   *   console.log('Navigation was cancelled by a guard');
+   * // Remember where a modal was opened from
+   * await router.push('/photos/7', { state: { backdrop: router.currentRoute().fullPath } });
+   *
+   * // Check why navigation failed
+   * const failure = await router.push('/protected-area');
+   * if (isNavigationFailure(failure, NavigationFailureType.aborted)) {
+   *   console.log('Navigation was cancelled by a guard', failure.error);
    * }
    * ```
    */
-  push(path: string): Promise<boolean>;
+  push(to: RouteLocationRaw, options?: NavigationOptions): Promise<NavigationFailure | undefined>;
 
   /**
    * Navigate to a new route, replacing current history entry.
@@ -348,8 +1502,9 @@ export interface Router {
    * Unlike `push()`, this doesn't add a new entry to browser history.
    * Useful for redirects or replacing invalid routes.
    *
-   * @param path - Route path with optional parameters
-   * @returns Promise that resolves to true if navigation succeeded, false if cancelled
+   * @param to - Route path with optional parameters, or a location object
+   * @param options - `state` to store with the replaced history entry (see `NavigationOptions`)
+   * @returns Promise that resolves to `undefined` on success, or to a `NavigationFailure`
    *
    * @example
    * ```typescript
@@ -362,7 +1517,81 @@ export interface Router {
    * }
    * ```
    */
-  replace(path: string): Promise<boolean>;
+  replace(to: RouteLocationRaw, options?: NavigationOptions): Promise<NavigationFailure | undefined>;
+
+  /**
+   * Navigate to the current path with its query string patched.
+   *
+   * Patched keys replace their current values (including serialized forms like
+   * `tags[]` or `filter[price]`), keys set to `undefined` are removed, everything else
+   * is kept. Existing keys keep their position and new keys are appended.
+   *
+   * @param patch - Keys to set or remove
+   * @param options - `replace`, `state` and `format` (see `UpdateOptions`)
+   * @returns Same as `push()`
+   *
+   * @example
+   * ```typescript
+   * // #!/search?q=shoes&page=3 → #!/search?q=shoes&color=red
+   * await router.updateQuery({ page: undefined, color: 'red' });
+   *
+   * // Typing in a search box shouldn't flood the history
+   * await router.updateQuery({ q: input.value }, { replace: true });
+   * ```
+   */
+  updateQuery(patch: Record<string, LocationParamValue>, options?: UpdateOptions): Promise<NavigationFailure | undefined>;
+
+  /**
+   * Like `updateQuery()`, but keys naming a dynamic segment of the current route
+   * rebuild the path. `undefined` drops an optional segment.
+   *
+   * @param patch - Segment and query keys to set or remove
+   * @param options - `replace`, `state` and `format` (see `UpdateOptions`)
+   * @returns Same as `push()`; rejects when a required segment is removed
+   *
+   * @example
+   * ```typescript
+   * // Route users/:id, #!/users/42?tab=posts → #!/users/43?tab=likes
+   * await router.updateParams({ id: 43, tab: 'likes' });
+   * ```
+   */
+  updateParams(patch: Record<string, LocationParamValue>, options?: UpdateOptions): Promise<NavigationFailure | undefined>;
+
+  /**
+   * Resolve a navigation target into a route object without navigating.
+   *
+   * @param to - Path string or location object
+   * @returns The route the target would produce, plus its `href`
+   * @throws If the route name is unknown or a required param is missing
+   *
+   * @example
+   * ```typescript
+   * const target = router.resolve({ name: 'user', params: { id: 42 } });
+   * console.log(target.href);        // "#!/users/42"
+   * console.log(target.pathParams);  // { id: "42" }
+   * ```
+   */
+  resolve(to: RouteLocationRaw): ResolvedRoute;
+
+  /**
+   * Build the URL for a navigation target without navigating.
+   *
+   * @param to - Path string or location object
+   * @returns `#!/...` in hash mode or `/base/...` in history mode, ready to use as a link `href`
+   * @throws If the route name is unknown or a required param is missing
+   *
+   * @example
+   * ```typescript
+   * link.href = router.href({ name: 'user', params: { id: 42 }, query: { tab: 'posts' } });
+   * // "#!/users/42?tab=posts"
+   * ```
+   */
+  href(to: RouteLocationRaw): string;
+
+  /**
+   * The history mode this router was created with.
+   */
+  readonly mode: RouterMode;
 
   /**
    * Get the current route information.
@@ -453,12 +1682,12 @@ export interface Router {
   getTypedQuery(): TypedRouteParams;
 
   /**
-   * Manually save the current scroll position for a route.
+   * Manually save the current scroll position for a history entry.
    *
    * The router normally does this automatically, but you can call this
    * method to capture scroll positions at specific moments.
    *
-   * @param path - Route path to save position for (defaults to current route)
+   * @param key - History entry key to save position for (defaults to the current entry)
    *
    * @example
    * ```typescript
@@ -467,15 +1696,15 @@ export interface Router {
    * showModal();
    * ```
    */
-  saveScrollPosition(path?: string): void;
+  saveScrollPosition(key?: string): void;
 
   /**
-   * Manually restore the scroll position for a route.
+   * Manually restore the saved scroll position of a history entry.
    *
    * The router normally does this automatically during navigation,
    * but you can call this method to restore positions manually.
    *
-   * @param path - Route path to restore position for (defaults to current route)
+   * @param key - History entry key to restore position for (defaults to the current entry)
    *
    * @example
    * ```typescript
@@ -484,7 +1713,7 @@ export interface Router {
    * router.restoreScrollPosition();
    * ```
    */
-  restoreScrollPosition(path?: string): void;
+  restoreScrollPosition(key?: string): void;
 
   /**
    * Clear all saved scroll positions from memory.
@@ -499,10 +1728,61 @@ export interface Router {
    */
   clearScrollHistory(): void;
 
+  /**
+   * Register a scrollable pane whose position is saved with every history entry
+   * and restored along with the window on back/forward.
+   *
+   * Pass a getter when the pane is re-rendered per route; it is called whenever
+   * positions are captured or restored, and may return `null` while the pane isn't shown.
+   *
+   * @param key - Name the position is stored under
+   * @param elementOrGetter - The element, or a function returning it
+   * @returns Unregister function
+   *
+   * @example
+   * ```typescript
+   * router.registerScrollContainer('sidebar', document.querySelector('.sidebar'));
+   * const unregister = router.registerScrollContainer('results', () => document.getElementById('results'));
+   *
+   * // When the results pane goes away for good
+   * unregister();
+   * ```
+   */
+  registerScrollContainer(key: string, elementOrGetter: Element | (() => Element | null | undefined)): UnsubscribeFunction;
+
+  /**
+   * Read the state stored with a history entry - for the current entry, the
+   * same value as `route.state`.
+   *
+   * @param key - History entry key (defaults to the current entry); other entries
+   *   report the state they had when the router last showed them
+   * @returns The stored state, or `null`
+   */
+  getEntryState<T = unknown>(key?: string): T | null;
+
+  /**
+   * Replace the state of the current history entry without navigating, e.g. a
+   * selected item or an expanded panel. It is stored like `push(to, { state })`:
+   * `route.state` changes right away, and back/forward and reloads bring it back.
+   *
+   * @param state - Structured-cloneable value
+   *
+   * @example
+   * ```typescript
+   * router.setEntryState({ selectedId: item.id });
+   *
+   * // After a reload or when coming back
+   * const { selectedId } = router.getEntryState<{ selectedId: number }>() ?? {};
+   * ```
+   */
+  setEntryState(state: unknown): void;
+
   /**
    * Navigate through browser history by a specific number of steps.
    *
    * Positive numbers go forward, negative numbers go backward.
+   * In `'memory'` mode the returned promise resolves once the resulting
+   * navigation has been processed.
    *
    * @param delta - Number of steps to move in history (+/-)
    *
@@ -513,7 +1793,7 @@ export interface Router {
    * router.go(1);   // Go forward one page
    * ```
    */
-  go(delta: number): void;
+  go(delta: number): void | Promise<void>;
 
   /**
    * Navigate back one step in browser history.
@@ -526,7 +1806,7 @@ export interface Router {
    * backButton.onclick = () => router.back();
    * ```
    */
-  back(): void;
+  back(): void | Promise<void>;
 
   /**
    * Navigate forward one step in browser history.
@@ -539,7 +1819,52 @@ export interface Router {
    * forwardButton.onclick = () => router.forward();
    * ```
    */
-  forward(): void;
+  forward(): void | Promise<void>;
+
+  /**
+   * Go back when the previous entry belongs to the app, otherwise `push()` the fallback.
+   *
+   * Useful for close buttons on pages that may have been opened from a shared link.
+   *
+   * @param fallback - Where to go when there is no entry to go back to
+   * @returns Same as `push()`, once the back navigation has been handled in every
+   *   mode: `undefined` when the previous route shows, or a failure when a guard
+   *   kept the current one
+   *
+   * @example
+   * ```typescript
+   * closeButton.onclick = () => router.backOr('/gallery');
+   * ```
+   */
+  backOr(fallback: RouteLocationRaw): Promise<NavigationFailure | undefined>;
+
+  /**
+   * Whether `back()` stays in the app, i.e. the router has shown an entry before the current one.
+   *
+   * @example
+   * ```typescript
+   * backButton.hidden = !router.canGoBack();
+   * ```
+   */
+  canGoBack(): boolean;
+
+  /**
+   * Whether `forward()` returns to an entry the router has shown.
+   */
+  canGoForward(): boolean;
+
+  /**
+   * The router's own stack of history entries (see `RouterHistory`).
+   *
+   * @example
+   * ```typescript
+   * router.afterEach(() => {
+   *   const direction = router.history.direction();   // 'push', 'replace', 'back' or 'forward'
+   *   document.body.dataset.direction = direction ?? '';
+   * });
+   * ```
+   */
+  readonly history: RouterHistory;
 
   /**
    * Clean up the router and remove all event listeners.
@@ -548,7 +1873,7 @@ export interface Router {
    * After calling destroy(), the router instance should not be used.
    *
    * **What gets cleaned up:**
-   * - Event listeners (hashchange, scroll)
+   * - Event listeners (hashchange or popstate, scroll)
    * - Navigation guards and hooks
    * - Scroll position history
    * - Internal state
@@ -573,29 +1898,135 @@ export interface Router {
 export function paramsToObj(params: URLSearchParams): RouteParams;
 export function coerceValue(value: string): string | number | boolean | null | undefined;
 export function coerceParams(params: RouteParams): TypedRouteParams;
+export function stringifyParams(params: Record<string, LocationParamValue>, format?: QueryFormat): string;
+export function createStoragePersistence(storage: Storage, storageKey?: string): PersistenceAdapter;
+
+/**
+ * Builders for the `params` schema of route records.
+ * Unlike `coerceValue`, values only become the type the schema asks for, so `"007"` stays a string under `param.string()`.
+ */
+export declare const param: {
+  string<O extends ParamOptions<string> = {}>(options?: O): ParamSchema<ParamValue<string, O>>;
+  /** Whole numbers only: `"42"`, `"-7"`; rejects `"1e3"`, `"4.2"` */
+  int<O extends ParamOptions<number> = {}>(options?: O): ParamSchema<ParamValue<number, O>>;
+  /** Decimal numbers: `"4.2"`, `".5"`; rejects exponents and hex */
+  float<O extends ParamOptions<number> = {}>(options?: O): ParamSchema<ParamValue<number, O>>;
+  /** `"true"`/`"1"` and `"false"`/`"0"` */
+  boolean<O extends ParamOptions<boolean> = {}>(options?: O): ParamSchema<ParamValue<boolean, O>>;
+  /** One of the listed strings */
+  enum<const V extends string, O extends ParamOptions<string> = {}>(values: readonly V[], options?: O): ParamSchema<ParamValue<V, O>>;
+  /** Anything `new Date()` understands, e.g. `"2024-01-31"` */
+  date<O extends ParamOptions<Date> = {}>(options?: O): ParamSchema<ParamValue<Date, O>>;
+  /** Every repeated value (`?tag=1&tag=2`) parsed with the item schema */
+  arrayOf<T, O extends ParamOptions<Exclude<T, undefined>[]> = {}>(
+    item: ParamSchema<T>,
+    options?: O
+  ): ParamSchema<ParamValue<Exclude<T, undefined>[], O>>;
+  /** Custom parser; throw an `Error` to reject the value */
+  custom<T, O extends ParamOptions<T> = {}>(parseValue: (raw: string) => T, options?: O): ParamSchema<ParamValue<T, O>>;
+};
+
+/**
+ * Returns the record unchanged; lets TypeScript infer `to.validated` in its guards.
+ *
+ * @example
+ * ```typescript
+ * const userRoute = defineRoute({
+ *   path: 'users/:id',
+ *   params: { id: param.int(), tab: param.enum(['posts', 'likes'], { default: 'posts' }) },
+ *   beforeEnter: (to) => {
+ *     to.validated.id;   // number
+ *     to.validated.tab;  // 'posts' | 'likes'
+ *   }
+ * });
+ * ```
+ */
+export function defineRoute<S extends ParamSchemaMap>(record: RouteRecord<S> & { params: S }): RouteRecord<S>;
+
+/**
+ * Options for `createAuthGuard()`.
+ */
+export interface AuthGuardOptions {
+  /** Whether the user is logged in. Default: never */
+  isAuthenticated?: (to: Route) => boolean | Promise<boolean>;
+  /** The user's roles or permissions, checked against `meta.roles`. Default: none */
+  getRoles?: (to: Route) => string[] | Promise<string[]>;
+  /** Where guests are sent. Default: `'login'` */
+  loginRoute?: string | RouteLocation;
+  /** Query key carrying the requested URL to the login route. Default: `'redirect'` */
+  redirectParam?: string;
+  /** `false` aborts navigations of users lacking a role (default), a location redirects them */
+  forbidden?: false | RouteLocationRaw;
+}
+
+/**
+ * Creates a global guard driven by route meta:
+ * - `meta.requiresAuth`: guests are redirected to `loginRoute`, with the requested URL
+ *   in the `redirectParam` query key
+ * - `meta.roles`: users need at least one of the roles (implies `requiresAuth`),
+ *   otherwise `forbidden` applies
+ *
+ * The login route itself must not require authentication.
+ *
+ * @example
+ * ```typescript
+ * router.beforeEach(createAuthGuard({
+ *   isAuthenticated: () => Boolean(session.user),
+ *   getRoles: () => session.user?.roles ?? [],
+ *   forbidden: '/403'
+ * }));
+ *
+ * // After logging in, return to where the user wanted to go
+ * await router.replace(String(router.currentRoute().params.redirect?.[0] ?? '/'));
+ * ```
+ */
+export function createAuthGuard(options?: AuthGuardOptions): NavigationGuard;
+
+export function isNavigationFailure(
+  value: unknown,
+  type?: NavigationFailureTypeValue | NavigationFailureTypeValue[]
+): value is NavigationFailure;
 
 // Router factory function
-export function createRouter(win?: Window): Router;
+export function createRouter(win?: Window, options?: RouterOptions): Router;
 
 // Default export
-declare const createRouter: (win?: Window) => Router;
 export default createRouter;
 
-// Pre-configured router instance
+// Default instance, not started (memory mode outside the browser)
 export declare const router: Router;
 
-// Global declaration for UMD build
+// Globals of the classic script build (router.js / router.min.js)
 declare global {
   interface Window {
     MyRouter: Router;
   }
 
-  // For environments where MyRouter might be global
+  // Pre-configured hash-mode router for the page
   const MyRouter: Router;
+
+  // createRouter() and the utilities of the module builds
+  const VanillaRouter: {
+    createRouter: typeof createRouter;
+    paramsToObj: typeof paramsToObj;
+    coerceValue: typeof coerceValue;
+    coerceParams: typeof coerceParams;
+    stringifyParams: typeof stringifyParams;
+    createStoragePersistence: typeof createStoragePersistence;
+    param: typeof param;
+    defineRoute: typeof defineRoute;
+    createAuthGuard: typeof createAuthGuard;
+    NavigationFailureType: typeof NavigationFailureType;
+    isNavigationFailure: typeof isNavigationFailure;
+  };
 }
 
 // Module augmentation for environments that might extend the router
 declare module 'vanillajs-router' {
+  interface RouteMeta {
+    // Allow users to type their own meta fields
+  }
+
   interface Route {
     // Allow users to extend Route interface
   }
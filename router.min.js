@@ -0,0 +1,2 @@
+// Generated from src/router.js by scripts/build.js - edit the source and run `npm run build`.
+const VanillaRouter=function(){const e=e=>{const t={};for(const[r,a]of e)(t[r]??=[]).push(a);return t},t=e=>{if("true"===e)return!0;if("false"===e)return!1;if("null"===e)return null;if("undefined"===e)return;const t=Number(e);return Number.isNaN(t)||""===e.trim()?e:t},r=e=>{const r={};for(const[a,n]of Object.entries(e))r[a]=n.map(t);return r},a=Object.freeze({repeat:(e,t)=>t.map(t=>[e,t]),bracket:(e,t)=>t.map(t=>[e+"[]",t]),comma:(e,t)=>t.length?[[e,t.join(",")]]:[]}),n=(e="repeat")=>{if("function"==typeof e)return e;if(!Object.hasOwn(a,e))throw new Error(`Unknown query format "${e}"`);return a[e]},o=e=>{if(!e||"object"!=typeof e)return!1;const t=Object.getPrototypeOf(e);return t===Object.prototype||null===t},s=e=>e.toString().replace(/%5B/gi,"[").replace(/%5D/gi,"]").replace(/%2C/gi,","),l=(e,t,r)=>{if(void 0===t)return[];if(Array.isArray(t)){const a=t.filter(e=>void 0!==e);return a.some(o)?a.flatMap((t,a)=>l(`${e}[${a}]`,t,r)):r(e,a.map(String))}return o(t)?Object.entries(t).flatMap(([t,a])=>l(`${e}[${t}]`,a,r)):[[e,String(t)]]},c=(e={},t="repeat")=>{const r=n(t),a=new URLSearchParams;for(const[t,n]of Object.entries(e))l(t,n,r).forEach(([e,t])=>a.append(e,t));return s(a)},i=(e={},t={},r="repeat")=>{const a=n(r),o=new URLSearchParams,c=new Set,i=e=>Object.keys(t).find(t=>e===t||e.startsWith(t+"[")),u=e=>{c.add(e),l(e,t[e],a).forEach(([e,t])=>o.append(e,t))};for(const[t,r]of Object.entries(e)){const e=i(t);void 0===e?r.forEach(e=>o.append(t,e)):c.has(e)||u(e)}return Object.keys(t).filter(e=>!c.has(e)).forEach(u),s(o)},u=(e,t,r={})=>({type:e,parseValue:t,multiple:!1,optional:Boolean(r.optional)||void 0!==r.default,default:r.default}),p=e=>{throw new Error(`expected ${e}`)},f=Object.freeze({string:e=>u("string",e=>e,e),int:e=>u("int",e=>/^[-+]?\d+$/.test(e)?Number.parseInt(e,10):p("an integer"),e),float:e=>u("float",e=>/^[-+]?(\d+\.?\d*|\.\d+)$/.test(e)?Number.parseFloat(e):p("a number"),e),boolean:e=>u("boolean",e=>"true"===e||"1"===e||"false"!==e&&"0"!==e&&p("a boolean"),e),enum:(e,t)=>u("enum",t=>e.includes(t)?t:p("one of "+e.join(", ")),t),date:e=>u("date",e=>{const t=new Date(e);return""===e.trim()||Number.isNaN(t.getTime())?p("a date"):t},e),arrayOf:(e,t)=>({...u(e.type+"[]",e.parseValue,t),multiple:!0}),custom:(e,t)=>u("custom",e,t)}),d=e=>"function"==typeof e?f.custom(e):"string"==typeof e&&"enum"!==e&&"arrayOf"!==e&&e in f?f[e]():e,h=(e="")=>String(e).replace(/^#!?/,"").replace(/^\/+|\/+$/g,""),g=e=>e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),m=e=>{const t=[];let r="";for(const a of h(e).split("/").filter(Boolean)){if("*"===a){t.push("pathMatch"),r+="(?:/(.*))?";continue}const e=a.match(/^:(\w+)(\?)?$/);e?(t.push(e[1]),r+=e[2]?"(?:/([^/]+))?":"/([^/]+)"):r+="/"+g(a)}return{regex:new RegExp("^"+r+"/?$"),keys:t}},y=e=>{try{return decodeURIComponent(e)}catch{return e}},v=(e,t={})=>{const r=[],a=[];for(const n of h(e).split("/").filter(Boolean)){if("*"===n){r.push("pathMatch");const e=t.pathMatch;void 0!==e&&""!==e&&a.push(String(e).split("/").map(encodeURIComponent).join("/"));continue}const o=n.match(/^:(\w+)(\?)?$/);if(o){const[,n,s]=o,l=Array.isArray(t[n])?t[n][0]:t[n];if(r.push(n),void 0===l||""===l){if(s)continue;throw new Error(`Missing required param "${n}" for route "${e}"`)}a.push(encodeURIComponent(String(l)));continue}a.push(n)}return{path:a.join("/"),used:r}},b=(e,t)=>[h(e),h(t)].filter(Boolean).join("/"),w=(e=[],t=null)=>{const r=[];for(const a of e){if(!a||"string"!=typeof a.path)continue;const e=t?[...t.chain,a]:[a],n=Object.assign({},...e.map(e=>e.meta));[a.path,...[].concat(a.alias??[])].filter(e=>"string"==typeof e).forEach((o,s)=>{const l=t&&!o.startsWith("/")?b(t.pattern,o):h(o),c=s>0||Boolean(t?.isAlias);Array.isArray(a.children)&&r.push(...w(a.children,{pattern:l,chain:e,isAlias:c})),r.push({record:a,chain:e,pattern:l,isAlias:c,meta:n,...m(l)})})}return r},E=(e,r)=>{const a="/"+h(r);for(const{record:r,chain:n,meta:o,regex:s,keys:l}of e){const e=s.exec(a);if(!e)continue;const c={};l.forEach((t,r)=>{const a=e[r+1];void 0!==a&&(c[t]=y(a))});const i={};for(const[e,r]of Object.entries(c))i[e]=t(r);return{matched:[...n],record:r,meta:{...o},pathParams:c,pathParamsTyped:i}}return{matched:[],record:null,meta:{},pathParams:{},pathParamsTyped:{}}},P=(e,t,r)=>e.length<3?Promise.resolve(e(t,r)):new Promise((a,n)=>{Promise.resolve(e(t,r,e=>a(e))).catch(n)}),S=e=>!1===e?{type:"abort",error:null}:e instanceof Error?{type:"abort",error:e}:(e=>"string"==typeof e||Boolean(e)&&"object"==typeof e&&("path"in e||"name"in e))(e)?{type:"redirect",to:e}:void 0,k=Object.freeze({aborted:"aborted",cancelled:"cancelled",duplicated:"duplicated",redirected:"redirected"}),O=Symbol("navigationFailure"),j=(e,t,r,a=null)=>{const n={aborted:`Navigation to "${r.fullPath}" was aborted`,cancelled:`Navigation to "${r.fullPath}" was cancelled`,duplicated:`Already at "${r.fullPath}"`,redirected:`Navigation to "${r.fullPath}" was redirected`};return Object.assign(new Error(a?.message??n[e]),{[O]:!0,type:e,from:t,to:r,error:a})},A=Object.freeze(["navigationStart","redirect","guardStart","guardEnd","loadStart","navigationEnd","navigationError","navigationCancelled","scrollRestore"]),R=(e,t="vanilla-router")=>({load:()=>{try{return JSON.parse(e?.getItem(t)??"null")}catch(e){return console.error("Persistence load error:",e),null}},save:r=>{try{e?.setItem(t,JSON.stringify(r))}catch(e){console.error("Persistence save error:",e)}}}),T=()=>Date.now().toString(36)+"-"+Math.random().toString(36).slice(2,10),$=e=>{const t=e.history?.state;if(t?.key)return t.key;const r=T();return e.history?.replaceState?.({..."object"==typeof t?t:{},key:r},""),r},L=e=>e.history?.state?.state??null,N=(e,{mode:t="hash",base:r,initialPath:a,namespace:n}={})=>{if("hash"===t)return((e,t="")=>{const r="#"+t+"!/",a=e=>t?e.slice(r.length):e.replace(/^#!\/?/,"");let n=null;return{mode:"hash",getUrl:()=>{const n=e.location.hash;return(e=>t?e==="#"+t+"!"||e.startsWith(r):!/^#[^!/]+!\//.test(e))(n)?a(n):null},getSearch:()=>e.location.search.slice(1),getAnchor:()=>{const r=e.location.hash;return!r||t||r.startsWith("#!/")?null:r.slice(1)},getKey:()=>$(e),getState:()=>L(e),createHref:e=>r+e,parseHref:n=>{const o=new URL(n,e.location.href),s=e.location;return o.origin!==s.origin||o.pathname!==s.pathname||o.search!==s.search?null:o.hash.startsWith(t?r:"#!")?a(o.hash):null},push:(t,a=null)=>{n=T(),e.location.hash=r+t,e.history?.replaceState?.({key:n,state:a},"")},replace:(t,a=null)=>{const o=$(e),s=e.location.href.replace(/#.*$/,"");n=o,e.location.replace(s+r+t),e.history?.replaceState?.({key:o,state:a},"")},setState:t=>{e.history?.replaceState?.({key:$(e),state:t},"")},go:t=>e.history.go(t),listen:t=>{n??=e.history?.state?.key??null;const r=()=>{const r=$(e);r!==n&&(n=r,t())};return e.addEventListener("hashchange",r),e.addEventListener("popstate",r),()=>{e.removeEventListener("hashchange",r),e.removeEventListener("popstate",r)}}}})(e,n);if("history"===t)return((e,t="")=>{const r=h(t)?"/"+h(t):"";return{mode:"history",getUrl:()=>{const{pathname:t,search:a}=e.location,n=r&&(t===r||t.startsWith(r+"/"));return h(n?t.slice(r.length):t)+a},getSearch:e=>e.split("?")[1]||"",getAnchor:()=>null,getKey:()=>$(e),getState:()=>L(e),createHref:e=>r+"/"+e,parseHref:t=>{const a=new URL(t,e.location.href),n=e.location;return a.origin!==n.origin||r&&a.pathname!==r&&!a.pathname.startsWith(r+"/")||a.hash&&a.pathname===n.pathname&&a.search===n.search?null:h(a.pathname.slice(r.length))+a.search},push:(t,a=null)=>{e.history.pushState({key:T(),state:a},"",r+"/"+t)},replace:(t,a=null)=>{e.history.replaceState({key:$(e),state:a},"",r+"/"+t)},setState:t=>{e.history.replaceState({key:$(e),state:t},"")},go:t=>e.history.go(t),listen:t=>(e.addEventListener("popstate",t),()=>e.removeEventListener("popstate",t))}})(e,r);if("memory"===t)return((e="")=>{const t=[{url:h(e),key:T(),state:null}],r=[];let a=0;return{mode:"memory",getUrl:()=>t[a].url,getSearch:()=>"",getAnchor:()=>null,getKey:()=>t[a].key,getState:()=>t[a].state,createHref:e=>"/"+e,parseHref:()=>null,push:(e,r=null)=>{t.splice(a+1,t.length,{url:e,key:T(),state:r}),a=t.length-1},replace:(e,r=null)=>{t[a]={...t[a],url:e,state:r}},setState:e=>{t[a]={...t[a],state:e}},go:e=>{const n=Math.min(Math.max(a+e,0),t.length-1);return n===a?Promise.resolve():(a=n,Promise.all(r.map(e=>e())).then(()=>{}))},listen:e=>(r.push(e),()=>{const t=r.indexOf(e);-1!==t&&r.splice(t,1)})}})(a);throw new Error(`Unknown router mode "${t}"`)};return{createRouter:function(t=globalThis,a={}){const o=N(t,a),s=e=>{"function"==typeof t.requestAnimationFrame?t.requestAnimationFrame(e):setTimeout(e,0)},l=n(a.queryFormat),u=w(a.routes),p=new Map(u.filter(({record:e,isAlias:t})=>void 0!==e.name&&!t).map(e=>[e.record.name,e])),f=(t=o.getUrl()??"",a=null)=>{const n=t.split("?"),s=n[0]||"",l=n[1]||"",c=new URLSearchParams(o.getSearch(t)),i=new URLSearchParams(l);return(e=>{const t=Object.assign({},...e.matched.map(e=>e.params));e.validated={},e.paramErrors=[];for(const[r,a]of Object.entries(t)){const t=d(a);if(!t||"function"!=typeof t.parseValue)continue;const n=e=>e.map(e=>{try{return t.parseValue(e)}catch{return e}});let o;if(Object.hasOwn(e.pathParams,r)?(o=[e.pathParams[r]],e.pathParamsTyped[r]=n(o)[0]):Object.hasOwn(e.params,r)?(o=e.params[r],e.paramsTyped[r]=n(o)):Object.hasOwn(e.query,r)&&(o=e.query[r],e.queryTyped[r]=n(o)),o)try{e.validated[r]=t.multiple?o.map(e=>t.parseValue(e)):t.parseValue(o[0])}catch(a){e.paramErrors.push({key:r,value:t.multiple?o:o[0],message:a.message})}else void 0!==t.default?e.validated[r]=t.default:t.optional||e.paramErrors.push({key:r,value:void 0,message:"is required"})}return e})({path:s,fullPath:t,query:e(c),params:e(i),queryTyped:r(e(c)),paramsTyped:r(e(i)),...E(u,s),components:[],component:null,data:{},state:a})},g=e=>{if("string"==typeof e)return e.replace(/^#!?/,"").replace(/^\/+/,"");const t={...e.params};let r=h(e.path);if(void 0!==e.name){const a=p.get(e.name);if(!a)throw new Error(`No route named "${e.name}"`);const n=v(a.pattern,t);r=n.path,n.used.forEach(e=>delete t[e])}const a=c({...t,...e.query},l);return r+(a?"?"+a:"")},m=(e,t=null)=>{const r=f(e,t),a=[e];let n=r;for(;null!=n.record?.redirect;){const{redirect:e}=n.record,r="function"==typeof e?e(n):e;let o=g(r);if("string"==typeof r&&!o.includes("?")&&n.fullPath.includes("?")&&(o+=n.fullPath.slice(n.fullPath.indexOf("?"))),a.includes(o))throw new Error(`Redirect loop detected: ${[...a,o].join(" → ")}`);a.push(o),n=f(o,t)}return n!==r&&(n.redirectedFrom=r),n};let b=f(void 0,o.getState()),O={...b},T=[],$=[],L=[],x=[],M=[],U=[];const q=new Map,B=new WeakMap;let C=0,I=null,D=!1,V=!1,K=b.fullPath;const F=(e,t={})=>{const r={type:e,timestamp:Date.now(),...t};for(const t of[e,"*"])for(const e of[...q.get(t)??[]]){e.once&&ge(t,e);try{e.callback(r)}catch(e){console.error("Event listener error:",e)}}const a=(e=>{switch(e.type){case"navigationStart":return["🔄 Navigating...","loading"];case"loadStart":return["⏳ Loading...","loading"];case"navigationEnd":return["✅ Navigation complete","success"];case"navigationError":return["❌ "+(e.error?.message??"Navigation aborted"),"error"];default:return null}})(r);a&&W(...a)},H=(e,t=b)=>({navigationId:e.navigation?.id??null,from:t,to:e,duration:e.navigation?Date.now()-e.navigation.startedAt:0}),W=(e,t="info")=>{M.forEach(r=>{try{r(e,t,{route:b,prevRoute:O})}catch(e){console.error("Status callback error:",e)}})},z=e=>{U.forEach(t=>{try{t(e)}catch(e){console.error("Scroll callback error:",e)}})},G=!0===a.persist?{}:a.persist,J=((e=null,{maxEntries:t=50,maxSize:r=65536}={})=>{const a=e?.load(),n=new Map(a&&"object"==typeof a?Object.entries(a):[]),o=()=>{const a=[...n.keys()].sort((e,t)=>(n.get(e).updatedAt??0)-(n.get(t).updatedAt??0));for(;n.size>t;)n.delete(a.shift());if(!e)return;let o=Object.fromEntries(n);for(;n.size&&JSON.stringify(o).length>r;)n.delete(a.shift()),o=Object.fromEntries(n);e.save(o)};return{get:e=>n.get(e),update:(e,t)=>{n.set(e,{...n.get(e),...t,updatedAt:Date.now()}),o()},clear:e=>{for(const[t,r]of n){const{[e]:a,...o}=r;n.set(t,o)}o()},forget:()=>n.clear()}})(G?G.storage??R((e=>{try{return e.sessionStorage??null}catch(e){return console.error("Persistence load error:",e),null}})(t),G.key??(a.namespace?"vanilla-router:"+a.namespace:void 0)):null,G??{});let X=null;const Y=t.history?.scrollRestoration,Q=new Map,_=e=>{const t=Q.get(e);try{return("function"==typeof t?t():t)??null}catch(t){return console.error(`Scroll container "${e}" error:`,t),null}},Z=(e=X)=>{const r={};for(const e of Q.keys()){const t=_(e);t&&(r[e]={left:t.scrollLeft,top:t.scrollTop})}const a={type:"capture",route:b.path,left:t.pageXOffset??0,top:t.pageYOffset??0,containers:r,timestamp:Date.now()};z(a);const{type:n,route:o,...s}=a;J.update(e,{scroll:s})},ee=e=>{if(!e)return;for(const[t,r]of Object.entries(e.containers??{})){const e=_(t);e&&r&&(e.scrollLeft=r.left??0,e.scrollTop=r.top??0)}let r=e.left??0,a=e.top??0;if(void 0!==e.el){const n=(e=>{if("string"!=typeof e)return e;const r=t.document;if(/^#[^\s.#[:>~+]+$/.test(e))return r?.getElementById(y(e.slice(1)));try{return r?.querySelector(e)}catch{return null}})(e.el);if(!n)return void console.warn("Scroll target not found:",e.el);const o=n.getBoundingClientRect();r=o.left+(t.pageXOffset??0)-r,a=o.top+(t.pageYOffset??0)-a}t.scrollTo?.({left:r,top:a,behavior:e.behavior}),F("scrollRestore",{route:b,position:e,left:r,top:a}),z({...e,type:"restore",route:b.path})};let te=[],re=-1,ae=null;const ne=e=>{if("initial"===e)return"push";if("pop"!==e)return-1===re?"push":e;const t=te.findIndex(({key:e})=>e===o.getKey());return-1===t?"push":t<re?"back":t>re?"forward":"replace"},oe=(e,t)=>{const r=ne(t),a={key:o.getKey(),route:e,timestamp:Date.now()};return"back"!==r&&"forward"!==r||(re=te.findIndex(({key:e})=>e===a.key)),"push"===r&&"initial"!==t?(te.splice(re+1,te.length,a),re=te.length-1):te[re]=a,r},se=()=>re>0;let le=[];const ce=()=>o.getState()??J.get(o.getKey())?.state??null,ie=(e,t)=>{(J.get(e)?.state??null)!==t&&J.update(e,{state:t})},ue=(e,t)=>e.record||t.record?e.record!==t.record:e.path!==t.path,pe=e=>{if("function"!=typeof e.component)return e.component??null;if(!B.has(e)){const t=Promise.resolve(e.component()).then(e=>e?.default??e).catch(t=>{throw B.delete(e),t});B.set(e,t)}return B.get(e)},fe=(e,t)=>{const r=t.controller?.signal;return r?Promise.race([e,new Promise(e=>r.addEventListener("abort",()=>e(),{once:!0}))]):e},de=async(e,t)=>{if(V)return{type:"cancelled"};const r=((e,t)=>{I?.controller?.abort();const r="function"==typeof AbortController?new AbortController:null;return I={id:++C,controller:r},e.navigation={id:I.id,signal:r?.signal??null,startedAt:Date.now(),direction:t},I})(e,ne(t)),a=()=>V||I!==r;"initial"!==t&&Z();const n=b;let o;F("navigationStart",H(e,n)),e.redirectedFrom&&F("redirect",{...H(e,n),to:e.redirectedFrom,source:"record",redirectTo:e.fullPath});try{"initial"===t&&await null,e.paramErrors.length&&(o=(e=>{const t=e.paramErrors,r=Object.assign(new Error("Invalid route params: "+t.map(({key:e,message:t})=>`${e} ${t}`).join(", ")),{errors:t}),a=[...e.matched].reverse().map(e=>e.onInvalidParams).find(e=>void 0!==e),n="function"==typeof a?a(e,t):a;return S(n)??{type:"abort",error:r}})(e));const s=o||a()?[]:((e,t)=>{const r=t.matched.filter(t=>!e.matched.includes(t)).reverse(),a=e.matched.filter(e=>t.matched.includes(e)),n=e.matched.filter(e=>!t.matched.includes(e)),o=e.fullPath!==t.fullPath?a:[];return[...ue(e,t)?L:[],...r.flatMap(e=>[].concat(e.beforeLeave??[])),...o.flatMap(e=>[].concat(e.beforeUpdate??[])),...n.flatMap(e=>[].concat(e.beforeEnter??[])),...T].filter(e=>"function"==typeof e)})(e,n);for(const[t,l]of s.entries()){const c=()=>({...H(e,n),guardIndex:t,guardCount:s.length});let i;F("guardStart",c());try{i=await fe(P(l,e,n),r)}catch(e){throw F("guardEnd",{...c(),result:"abort",error:e}),e}if(a()){F("guardEnd",{...c(),result:"cancelled",error:null});break}if(o=S(i),F("guardEnd",{...c(),result:o?.type??"next",error:o?.error??null}),o)break}"redirect"===o?.type&&(o={type:"redirect",to:g(o.to)}),o||a()||await fe((async(e,t)=>{if(!e.matched.some(e=>void 0!==e.component||e.resolve))return;F("loadStart",H(e,t));const r=e.matched.flatMap(e=>Object.entries(e.resolve??{})),[a,n]=await Promise.all([Promise.all(e.matched.map(pe)),Promise.all(r.map(([,r])=>"function"==typeof r?r(e,t):r))]);e.components=a,e.component=a[a.length-1]??null,e.data={},r.forEach(([t],r)=>{e.data[t]=n[r]})})(e,n),r),o||a()||await fe(((e,t)=>{const r={direction:e.navigation.direction,abortSignal:e.navigation.signal};return Promise.all(x.map(async a=>{try{await a(e,t,r)}catch(e){console.error("Transition hook error:",e)}}))})(e,n),r)}catch(e){o={type:"abort",error:e}}return a()?(F("navigationCancelled",H(e,n)),{type:"cancelled"}):(I=null,o?("abort"===o.type&&(o.error&&console.error("Navigation cancelled:",o.error),F("navigationError",{...H(e,n),error:o.error})),"redirect"===o.type&&F("redirect",{...H(e,n),source:"guard",redirectTo:o.to}),o):{type:"ok"})},he=async(e,r,n=()=>{})=>{if(V)return;const l=()=>{if(V)return;n(),ue(e,b)&&(L.length=0),O={...b},b=e,X=o.getKey(),ae=oe(e,r),ie(X,e.state),$.forEach(t=>{if("function"==typeof t)try{t(e,O)}catch(e){console.error("After hook error:",e)}});const t="pop"===r||"initial"===r?J.get(X)?.scroll??null:null;(async(e,t,r)=>{const n=[...e.matched].reverse().map(e=>e.scrollBehavior).find(e=>"function"==typeof e)??a.scrollBehavior??((e,t,r)=>r);try{const a=await n(e,t,r);if(V||b!==e)return;s(()=>ee(a))}catch(e){console.error("Scroll behavior error:",e)}})(e,O,t),F("navigationEnd",H(e,O))},c=t.document;if(!a.viewTransition||"function"!=typeof c?.startViewTransition)return void l();const i=c.startViewTransition(l);i.types?.add(e.navigation.direction),await i.updateCallbackDone.catch(e=>{console.error("View transition error:",e)})},ge=(e,t)=>{const r=q.get(e)??[],a=r.indexOf(t);-1!==a&&r.splice(a,1)},me=e=>"function"!=typeof e||V?()=>{}:($.push(e),()=>{if(V)return;const t=$.indexOf(e);-1!==t&&$.splice(t,1)}),ye=()=>{const e=o.getAnchor();return!(!e||!t.document?.getElementById(e)||(s(()=>{const r=t.document?.getElementById(e);r?.scrollIntoView({behavior:"smooth"})}),0))},ve=()=>{const e=le;le=[];const t=(async()=>{if(V)return;if(ye())return;const e=o.getUrl();if(null===e)return;if(e===K)return void oe(b,"pop");const t=ce(),r=b;let a;try{a=m(e,t)}catch(a){return console.error("Navigation cancelled:",a),F("navigationError",{...H(f(e,t)),error:a}),K=b.fullPath,o.replace(b.fullPath,b.state),oe(b,"pop"),j(k.aborted,r,f(e,t),a)}const n=await de(a,"pop");if("ok"===n.type)return a.fullPath!==e&&o.replace(a.fullPath,t),K=a.fullPath,void await he(a,"pop");let s;return"redirect"!==n.type||(s=await be(n.to,{replace:!0,state:t},1),s&&s.type!==k.redirected)?"cancelled"===n.type?j(k.cancelled,r,a):(K=b.fullPath,o.replace(b.fullPath,b.state),oe(b,"pop"),s??j(k.aborted,r,a,n.error)):s??j(k.redirected,r,a)})();return t.then(t=>e.forEach(e=>e(t))),t},be=async(e,{replace:t=!1,state:r=null}={},a=0)=>{Re();const n=g(e),s=b;let l;try{l=m(n,r)}catch(e){return console.error("Navigation cancelled:",e),F("navigationError",{...H(f(n,r)),error:e}),j(k.aborted,s,f(n,r),e)}if(l.fullPath===b.fullPath)return j(k.duplicated,s,l);const c=await de(l,t?"replace":"push");if("redirect"===c.type){if(a>=10){const e=new Error(`Too many redirects from "${n}"`);return console.error("Navigation cancelled:",e),F("navigationError",{...H(l),error:e}),j(k.aborted,s,l,e)}return await be(c.to,{replace:t,state:r},a+1)??j(k.redirected,s,l)}return"cancelled"===c.type?j(k.cancelled,s,l):"abort"===c.type?j(k.aborted,s,l,c.error):void await he(l,t?"replace":"push",()=>{K=l.fullPath,t?o.replace(l.fullPath,r):o.push(l.fullPath,r)})},we={activeClass:"router-link-active",exactActiveClass:"router-link-exact-active",..."object"==typeof a.links?a.links:{}},Ee="a[href], [data-router-link]",Pe=e=>{const t=e.getAttribute("data-router-link");if(t)return g(t);const r=e.getAttribute("href");if(null===r)return null;try{return o.parseHref(r)}catch{return null}},Se=e=>{if(V||e.defaultPrevented||0!==e.button)return;if(e.metaKey||e.ctrlKey||e.shiftKey||e.altKey)return;const t=e.target?.closest?.(Ee);if(!t||t.closest("[data-router-ignore]"))return;const r=t.getAttribute("target");if(r&&"_self"!==r||t.hasAttribute("download"))return;const a=Pe(t);null!==a&&(e.preventDefault(),be(a,{replace:t.hasAttribute("data-router-replace")}))},ke=()=>{V||(t.document?.querySelectorAll?.(Ee)??[]).forEach(e=>{const t=Pe(e);if(null===t)return;"A"!==e.tagName||e.hasAttribute("href")||e.setAttribute("href",o.createHref(t));const r=h(t.split("?")[0]),a=r===h(b.path),n=a||""!==r&&h(b.path).startsWith(r+"/");e.classList.toggle(we.activeClass,n),e.classList.toggle(we.exactActiveClass,a),a?e.setAttribute("aria-current","page"):"page"===e.getAttribute("aria-current")&&e.removeAttribute("aria-current")})},Oe=()=>{V||z({type:"update",route:b.path,left:t.pageXOffset??0,top:t.pageYOffset??0,timestamp:Date.now()})},je=()=>Z();let Ae=()=>{};const Re=()=>!D&&!V&&(D=!0,X=o.getKey(),b.state=ce(),oe(b,"push"),a.scrollBehavior&&void 0!==Y&&(t.history.scrollRestoration="manual"),t.addEventListener?.("scroll",Oe,{passive:!0}),t.addEventListener?.("pagehide",je),Ae=o.listen(ve),a.links&&t.document&&(t.document.addEventListener("click",Se),me(ke),"loading"===t.document.readyState?t.document.addEventListener("DOMContentLoaded",ke,{once:!0}):ke()),!0),Te=()=>(Re()&&(async()=>{if(ye())return;const e=o.getUrl(),t=b.state;let r;try{r=m(b.fullPath,t)}catch(e){return console.error("Navigation cancelled:",e),void F("navigationError",{...H(b),error:e})}const a=await de(r,"initial");"redirect"!==a.type?"ok"===a.type&&o.getUrl()===e&&await he(r,"initial",()=>{K=r.fullPath,null!==e&&r.fullPath!==e&&o.replace(r.fullPath,t)}):await be(a.to,{replace:!0,state:t},1)})(),$e),$e={start:Te,install:()=>Te(),beforeEach:e=>"function"!=typeof e||V?()=>{}:(T.push(e),()=>{if(V)return;const t=T.indexOf(e);-1!==t&&T.splice(t,1)}),afterEach:me,onBeforeLeave:e=>"function"!=typeof e||V?()=>{}:(L.push(e),()=>{if(V)return;const t=L.indexOf(e);-1!==t&&L.splice(t,1)}),onTransition:e=>"function"!=typeof e||V?()=>{}:(x.push(e),()=>{if(V)return;const t=x.indexOf(e);-1!==t&&x.splice(t,1)}),on:(e,t,{once:r=!1}={})=>{if("*"!==e&&!A.includes(e))throw new Error(`Unknown router event "${e}"`);if("function"!=typeof t)return()=>{};if(V)return()=>{};const a={callback:t,once:r};return q.has(e)||q.set(e,[]),q.get(e).push(a),()=>ge(e,a)},onStatus:e=>"function"!=typeof e||V?()=>{}:(M.push(e),()=>{if(V)return;const t=M.indexOf(e);-1!==t&&M.splice(t,1)}),onScroll:e=>"function"!=typeof e||V?()=>{}:(U.push(e),()=>{if(V)return;const t=U.indexOf(e);-1!==t&&U.splice(t,1)}),push:(e,{state:t}={})=>be(e,{state:t}),replace:(e,{state:t}={})=>be(e,{replace:!0,state:t}),updateQuery:async(e={},{replace:t=!1,state:r=null,format:a=l}={})=>{const n=i(b.params,e,a);return be(b.path+(n?"?"+n:""),{replace:t,state:r})},updateParams:async(e={},{replace:t=!1,state:r=null,format:a=l}={})=>{const n="/"+h(b.path),o=u.find(({regex:e})=>e.test(n)),s={...b.pathParams},c={};for(const[t,r]of Object.entries(e))o?.keys.includes(t)?s[t]=r:c[t]=r;const p=o?v(o.pattern,s).path:b.path,f=i(b.params,c,a);return be(p+(f?"?"+f:""),{replace:t,state:r})},resolve:e=>{const t=g(e);return{...f(t),href:o.createHref(t)}},href:e=>o.createHref(g(e)),mode:o.mode,currentRoute:()=>({...b}),previousRoute:()=>({...O}),getRouteState:()=>({to:{...b},from:{...O}}),getTypedParams:()=>b.paramsTyped,getTypedQuery:()=>b.queryTyped,saveScrollPosition:(e=X)=>Z(e),restoreScrollPosition:(e=X)=>{const t=J.get(e)?.scroll;t&&s(()=>ee(t))},clearScrollHistory:()=>J.clear("scroll"),registerScrollContainer:(e,t)=>V||!t?()=>{}:(Q.set(e,t),()=>{Q.get(e)===t&&Q.delete(e)}),getEntryState:(e=X)=>e===X?b.state:te.find(t=>t.key===e)?.route.state??J.get(e)?.state??null,setEntryState:e=>{V||(o.setState(e),b.state=e,ie(X,e))},go:e=>(Re(),o.go(e)),back:()=>(Re(),o.go(-1)),forward:()=>(Re(),o.go(1)),backOr:async e=>{if(Re(),!se())return be(e);const t=new Promise(e=>le.push(e));return o.go(-1),t},canGoBack:se,canGoForward:()=>re<te.length-1,history:{entries:()=>te.map(e=>({...e,route:{...e.route}})),index:()=>re,direction:()=>ae},destroy:()=>{V=!0,K="",I?.controller?.abort(),I=null,le.forEach(e=>e(j(k.cancelled,b,b))),le=[],Ae(),t.document?.removeEventListener?.("click",Se),t.removeEventListener?.("scroll",Oe),t.removeEventListener?.("pagehide",je),D&&a.scrollBehavior&&void 0!==Y&&(t.history.scrollRestoration=Y),T.length=0,$.length=0,L.length=0,x.length=0,M.length=0,U.length=0,q.clear(),J.forget(),te=[],re=-1,Q.clear()}};return $e},paramsToObj:e,coerceValue:t,coerceParams:r,stringifyParams:c,createStoragePersistence:R,param:f,defineRoute:e=>e,createAuthGuard:(e={})=>{const{isAuthenticated:t=()=>!1,getRoles:r=()=>[],loginRoute:a="login",redirectParam:n="redirect",forbidden:o=!1}=e;return async e=>{const s=[].concat(e.meta?.roles??[]);if(e.meta?.requiresAuth||s.length){if(!await t(e)){const t="string"==typeof a?{path:a}:a;return{...t,query:{...t.query,[n]:e.fullPath}}}if(s.length){const t=[].concat(await r(e)??[]);if(!s.some(e=>t.includes(e)))return o}}}},NavigationFailureType:k,isNavigationFailure:(e,t)=>!(!e||!0!==e[O])&&(void 0===t||[].concat(t).includes(e.type))}}();Object.defineProperty(globalThis,"MyRouter",{configurable:!0,get(){const e=VanillaRouter.createRouter(globalThis).start();return Object.defineProperty(globalThis,"MyRouter",{value:e,configurable:!0,writable:!0}),e}});
@@ -0,0 +1,152 @@
+/**
+ * Builds the distributable router files from the single source in src/router.js.
+ *
+ * - router.js: Classic script exposing the VanillaRouter namespace and the MyRouter instance
+ * - router.min.js: router.js minified with terser (a devDependency pinned to an exact
+ *   version, since --check compares its output byte for byte)
+ * - router.esm.js: ES module
+ * - router.cjs: CommonJS module
+ *
+ * Usage:
+ *   node scripts/build.js          Write all builds
+ *   node scripts/build.js --check  Fail when a build is out of date with the source
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { minify } from 'terser';
+
+const root   = join(dirname(fileURLToPath(import.meta.url)), '..');
+const banner = '// Generated from src/router.js by scripts/build.js - edit the source and run `npm run build`.\n';
+
+// ============================
+// SOURCE PARSING
+// ============================
+
+/**
+ * Splits the source into its body and the names listed in its export block.
+ * The export block must be the last statement of the file.
+ */
+const readSource = () => {
+    const source = readFileSync(join(root, 'src', 'router.js'), 'utf8');
+    const match  = source.match(/\n(?:\/\/[^\n]*\n)*export \{([^}]*)\};\s*$/);
+    if (!match) throw new Error('src/router.js must end with an export { ... } block');
+
+    const names = match[1].split(',').map(name => name.trim()).filter(Boolean);
+    const body  = source.slice(0, match.index).trimEnd() + '\n';
+    return { source, body, names };
+};
+
+/**
+ * Indents every non-empty line (the source has no multi-line string literals).
+ */
+const indent = (text, prefix = '    ') => {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+};
+
+/**
+ * Pads names so assignments line up, matching the hand-written style of the source.
+ */
+const alignNames = (names, format) => {
+    const width = Math.max(...names.map(name => name.length));
+    return names.map(name => format(name.padEnd(width), name)).join('\n');
+};
+
+// ============================
+// BUILD TARGETS
+// ============================
+
+const buildEsm = ({ source }) => banner + source + `
+// Default export for ES modules
+export default createRouter;
+
+// Default instance - not started, so importing the module attaches no listeners
+// Falls back to memory mode outside the browser so the module can be imported in Node
+export const router = createRouter(globalThis, { mode: globalThis.location ? 'hash' : 'memory' });
+`;
+
+const buildCjs = ({ body, names }) => banner + body + `
+// CommonJS exports
+module.exports         = createRouter;
+module.exports.default = createRouter;
+
+// Named exports for specific utilities
+${alignNames(names, (padded, name) => `module.exports.${padded} = ${name};`)}
+
+// Default instance - not started, so requiring the module attaches no listeners
+// Falls back to memory mode outside the browser so the module can be required in Node
+module.exports.router = createRouter(globalThis, { mode: globalThis.location ? 'hash' : 'memory' });
+`;
+
+const buildIife = ({ body, names }) => banner + `
+/**
+ * Classic script build. Exposes:
+ * - VanillaRouter: createRouter() and the utilities of the module builds
+ * - MyRouter: A hash-mode router for the page, created and started on first use
+ */
+const VanillaRouter = (function() {
+
+${indent(body.trimEnd())}
+
+    return {
+${indent(alignNames(names, (padded, name) => `${padded} : ${name},`), '        ').replace(/,$/, '')}
+    };
+})();
+
+// Pre-configured router for the page - created and started the first time MyRouter
+// is read, so pages that only use VanillaRouter.createRouter() get no listeners
+Object.defineProperty(globalThis, 'MyRouter', {
+    configurable : true,
+    get() {
+        const router = VanillaRouter.createRouter(globalThis).start();
+        Object.defineProperty(globalThis, 'MyRouter', { value: router, configurable: true, writable: true });
+        return router;
+    }
+});
+`;
+
+/**
+ * Minifies the classic script. Top-level names are kept, as VanillaRouter
+ * is the global the script exists for.
+ */
+const minifyScript = async (code) => {
+    const result = await minify(code, {
+        ecma     : 2020,
+        compress : { passes: 2 },
+        mangle   : true,
+        format   : { comments: false }
+    });
+    return banner + result.code + '\n';
+};
+
+// ============================
+// MAIN
+// ============================
+
+const parsed = readSource();
+const iife   = buildIife(parsed);
+
+const outputs = {
+    'router.js'     : iife,
+    'router.min.js' : await minifyScript(iife),
+    'router.esm.js' : buildEsm(parsed),
+    'router.cjs'    : buildCjs(parsed)
+};
+
+if (process.argv.includes('--check')) {
+    const stale = Object.entries(outputs)
+        .filter(([file, content]) => !existsSync(join(root, file)) || readFileSync(join(root, file), 'utf8') !== content)
+        .map(([file]) => file);
+
+    if (stale.length) {
+        console.error(`Out of date with src/router.js: ${stale.join(', ')} - run \`npm run build\``);
+        process.exit(1);
+    }
+    console.log('Builds are up to date');
+} else {
+    for (const [file, content] of Object.entries(outputs)) {
+        writeFileSync(join(root, file), content);
+        console.log(`Wrote ${file}`);
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Conformance suite - every build must expose the same API and behave the same.
+ * Runs against router.esm.js, router.cjs and the classic router.js and router.min.js scripts.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+const require = createRequire(import.meta.url);
+
+const EXPORTS = [
+    'NavigationFailureType',
+    'coerceParams',
+    'coerceValue',
+    'createAuthGuard',
+    'createRouter',
+    'createStoragePersistence',
+    'defineRoute',
+    'isNavigationFailure',
+    'param',
+    'paramsToObj',
+    'stringifyParams'
+];
+
+const ROUTER_API = [
+    'afterEach', 'back', 'backOr', 'beforeEach', 'canGoBack', 'canGoForward', 'clearScrollHistory',
+    'currentRoute', 'destroy', 'forward', 'getEntryState', 'getRouteState', 'getTypedParams',
+    'getTypedQuery', 'go', 'history', 'href', 'install', 'mode', 'on', 'onBeforeLeave', 'onScroll',
+    'onStatus', 'onTransition', 'previousRoute', 'push', 'registerScrollContainer', 'replace', 'resolve',
+    'restoreScrollPosition', 'saveScrollPosition', 'setEntryState', 'start', 'updateParams', 'updateQuery'
+];
+
+/**
+ * Copies values out of another realm (the vm context of the classic build),
+ * so deep equality doesn't trip over foreign prototypes.
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Runs the classic script in its own context with a fake window as the global object.
+ * Returns the window and the VanillaRouter namespace (a script-level const, not a window property).
+ */
+const loadClassicScript = (file = 'router.js') => {
+    const win = createFakeWindow();
+    Object.assign(win, { URL, URLSearchParams, AbortController, console, setTimeout, clearTimeout });
+
+    const code = readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+    const context = vm.createContext(win);
+    vm.runInContext(code, context);
+    return { win, VanillaRouter: vm.runInContext('VanillaRouter', context) };
+};
+
+const LISTENER_TYPES = ['hashchange', 'popstate', 'scroll', 'pagehide'];
+
+const builds = [
+    ['router.esm.js', async () => import('../router.esm.js')],
+    ['router.cjs',    async () => require('../router.cjs')],
+    ['router.js',     async () => loadClassicScript().VanillaRouter],
+    ['router.min.js', async () => loadClassicScript('router.min.js').VanillaRouter]
+];
+
+for (const [file, load] of builds) {
+    describe(`${file} conformance`, () => {
+        let lib;
+        before(async () => {
+            lib = await load();
+        });
+
+        it('exposes the public utilities', () => {
+            assert.deepEqual(EXPORTS.filter(name => lib[name] === undefined), []);
+        });
+
+        it('creates routers with the full API', () => {
+            const router = lib.createRouter({}, { mode: 'memory' });
+            assert.deepEqual([...Object.keys(router)].sort(), ROUTER_API);
+            router.destroy();
+        });
+
+        it('parses and coerces parameters', () => {
+            assert.deepEqual(plain(lib.paramsToObj(new URLSearchParams('a=1&a=2&b=x'))), { a: ['1', '2'], b: ['x'] });
+            assert.equal(lib.coerceValue('42'), 42);
+            assert.equal(lib.coerceValue('true'), true);
+            assert.equal(lib.stringifyParams({ tag: ['a', 'b'], skip: undefined }), 'tag=a&tag=b');
+        });
+
+        it('navigates and reports status without touching the DOM', async () => {
+            const lookups  = [];
+            const document = { getElementById: (id) => lookups.push(id) && null };
+            const router   = lib.createRouter({ document }, { mode: 'memory' });
+            const statuses = [];
+            router.onStatus((status, type) => statuses.push(type));
+
+            assert.equal(await router.push('users/1?tab=posts'), undefined);
+            assert.equal(router.currentRoute().path, 'users/1');
+            assert.deepEqual(plain(router.currentRoute().params), { tab: ['posts'] });
+            assert.deepEqual(statuses, ['loading', 'success']);
+            assert.deepEqual(lookups, []);
+            router.destroy();
+        });
+
+        it('aborts navigation when a guard returns false', async () => {
+            const router = lib.createRouter({}, { mode: 'memory', initialPath: 'home' });
+            router.beforeEach((to) => to.path !== 'blocked');
+
+            const failure = await router.push('blocked');
+            assert.ok(lib.isNavigationFailure(failure, lib.NavigationFailureType.aborted));
+            assert.equal(router.currentRoute().path, 'home');
+            router.destroy();
+        });
+
+        it('resolves the route table: named, nested, redirected and lazy records', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const Posts  = { name: 'Posts' };
+            const router = lib.createRouter({}, {
+                mode        : 'memory',
+                initialPath : 'home',
+                routes      : [
+                    { path: 'home' },
+                    { path: 'profile/:id', redirect: to => ({ name: 'userPosts', params: to.pathParams }) },
+                    {
+                        path     : 'users/:id',
+                        params   : { id: lib.param.int() },
+                        children : [{
+                            path      : 'posts',
+                            name      : 'userPosts',
+                            component : async () => ({ default: Posts }),
+                            resolve   : { ids: (to) => [to.validated.id] }
+                        }]
+                    }
+                ]
+            });
+
+            assert.equal(router.href({ name: 'userPosts', params: { id: 7 } }), '/users/7/posts');
+            assert.equal(await router.push('profile/7'), undefined);
+
+            const route = router.currentRoute();
+            assert.equal(route.fullPath, 'users/7/posts');
+            assert.equal(route.redirectedFrom.path, 'profile/7');
+            assert.deepEqual(plain(route.matched.map(record => record.path)), ['users/:id', 'posts']);
+            assert.deepEqual(plain(route.validated), { id: 7 });
+            assert.equal(route.component, Posts);
+            assert.deepEqual(plain(route.data), { ids: [7] });
+
+            const invalid = await router.push('users/seven/posts');
+            assert.ok(lib.isNavigationFailure(invalid, lib.NavigationFailureType.aborted));
+            router.destroy();
+        });
+
+        it('keeps the hash in sync in hash mode', async () => {
+            const win    = createFakeWindow();
+            const router = lib.createRouter(win);
+
+            await router.push('first');
+            await router.replace('second?x=1');
+            await flush();
+
+            assert.equal(win.location.hash, '#!/second?x=1');
+            assert.equal(win.history.length, 2);
+            assert.equal(router.currentRoute().fullPath, 'second?x=1');
+            router.destroy();
+        });
+
+        it('emits scroll capture and restore events', async () => {
+            const win    = createFakeWindow();
+            const router = lib.createRouter(win);
+            const events = [];
+            router.onScroll((scrollData) => events.push(plain(scrollData)));
+
+            await router.push('list');
+            win.pageYOffset = 120;
+            await router.push('detail');
+            router.back();
+            await flush(20);
+
+            const capture = events.find(event => event.type === 'capture' && event.route === 'list');
+            const restore = events.find(event => event.type === 'restore');
+            assert.equal(capture?.top, 120);
+            assert.equal(restore?.top, 120);
+            assert.equal(win.pageYOffset, 120);
+            router.destroy();
+        });
+
+        it('has no side effects until started', async () => {
+            const win    = createFakeWindow('http://localhost/#!/inbox');
+            const router = lib.createRouter(win, { scrollBehavior: () => false });
+
+            assert.equal(router.currentRoute().path, 'inbox');
+            assert.equal(win.history.state, null);
+            assert.equal(win.history.scrollRestoration, 'auto');
+            assert.deepEqual(LISTENER_TYPES.filter(type => win.listenerCount(type)), []);
+
+            assert.equal(router.start(), router);
+            assert.equal(win.listenerCount('hashchange'), 1);
+            assert.equal(win.history.scrollRestoration, 'manual');
+            assert.ok(win.history.state.key);
+            router.destroy();
+            assert.equal(win.history.scrollRestoration, 'auto');
+        });
+
+        it('keeps namespaced routers on the same page apart', async () => {
+            const win   = createFakeWindow();
+            const main  = lib.createRouter(win).start();
+            const panel = lib.createRouter(win, { namespace: 'panel' }).start();
+
+            await main.push('inbox');
+            await panel.push('details?id=7');
+            await flush();
+
+            assert.equal(win.location.hash, '#panel!/details?id=7');
+            assert.equal(main.currentRoute().path, 'inbox');
+            assert.equal(panel.currentRoute().fullPath, 'details?id=7');
+            assert.equal(panel.href('details'), '#panel!/details');
+
+            main.back();
+            await flush();
+            assert.equal(main.currentRoute().path, 'inbox');
+
+            await main.push('sent');
+            await flush();
+            assert.equal(win.location.hash, '#!/sent');
+            assert.equal(panel.currentRoute().fullPath, 'details?id=7');
+
+            main.destroy();
+            panel.destroy();
+        });
+
+        it('removes every listener and callback on destroy', async () => {
+            const win      = createFakeWindow();
+            const router   = lib.createRouter(win, { links: true }).start();
+            const statuses = [];
+            router.onStatus(status => statuses.push(status));
+            router.onScroll(() => statuses.push('scroll'));
+
+            router.destroy();
+            await router.push('after-destroy');
+            win.dispatch('scroll');
+
+            assert.deepEqual(statuses, []);
+            for (const type of LISTENER_TYPES) {
+                assert.equal(win.listenerCount(type), 0, `${type} listener left behind`);
+            }
+        });
+    });
+}
+
+describe('router.js globals', () => {
+    it('creates and starts a hash-mode MyRouter on first use', () => {
+        const { win } = loadClassicScript();
+        assert.equal(win.listenerCount('hashchange'), 0);
+
+        assert.equal(win.MyRouter.mode, 'hash');
+        assert.equal(win.MyRouter, win.MyRouter);
+        assert.equal(win.listenerCount('hashchange'), 1);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Lifecycle events (router.on) and the onStatus compatibility layer.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../src/router.js';
+import { flush } from './helpers/fake-window.js';
+
+/**
+ * Memory-mode router on "home" that records every lifecycle event.
+ */
+const createRecordingRouter = (options = {}) => {
+    const router = createRouter({}, { mode: 'memory', initialPath: 'home', ...options });
+    const events = [];
+    router.on('*', event => events.push(event));
+    return { router, events, types: () => events.map(event => event.type) };
+};
+
+describe('lifecycle events', () => {
+    it('describes a navigation from start to end', async () => {
+        const { router, events, types } = createRecordingRouter();
+        router.beforeEach(() => {});
+        router.beforeEach(() => {});
+
+        await router.push('users?id=1');
+
+        assert.deepEqual(types(), ['navigationStart', 'guardStart', 'guardEnd', 'guardStart', 'guardEnd', 'navigationEnd']);
+
+        const [start, , firstGuardEnd, , secondGuardEnd, end] = events;
+        assert.equal(start.from.path, 'home');
+        assert.equal(start.to.fullPath, 'users?id=1');
+        assert.ok(events.every(event => event.navigationId === start.navigationId));
+        assert.deepEqual([firstGuardEnd.guardIndex, secondGuardEnd.guardIndex], [0, 1]);
+        assert.equal(firstGuardEnd.guardCount, 2);
+        assert.equal(firstGuardEnd.result, 'next');
+        assert.equal(end.to.fullPath, router.currentRoute().fullPath);
+        assert.ok(end.duration >= 0 && typeof end.timestamp === 'number');
+    });
+
+    it('reports guards aborting with navigationError', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { router, events, types } = createRecordingRouter();
+        router.beforeEach((to) => {
+            if (to.path === 'admin') throw new Error('Access denied');
+            if (to.path === 'locked') return false;
+        });
+
+        await router.push('admin');
+        const thrown = events.find(event => event.type === 'navigationError');
+        assert.equal(thrown.error.message, 'Access denied');
+        assert.equal(events.find(event => event.type === 'guardEnd').result, 'abort');
+
+        events.length = 0;
+        await router.push('locked');
+        assert.deepEqual(types(), ['navigationStart', 'guardStart', 'guardEnd', 'navigationError']);
+        assert.equal(events[3].error, null);
+    });
+
+    it('reports guard and record redirects', async () => {
+        const { router, events } = createRecordingRouter({
+            routes: [{ path: 'old', redirect: 'new' }, { path: 'new' }, { path: 'admin' }, { path: 'login' }, { path: 'home' }]
+        });
+        router.beforeEach((to) => (to.path === 'admin' ? '/login' : undefined));
+
+        await router.push('admin');
+        await router.push('old');
+
+        const [guardRedirect, recordRedirect] = events.filter(event => event.type === 'redirect');
+        assert.deepEqual(
+            [guardRedirect.source, guardRedirect.to.path, guardRedirect.redirectTo],
+            ['guard', 'admin', 'login']
+        );
+        assert.deepEqual(
+            [recordRedirect.source, recordRedirect.to.path, recordRedirect.redirectTo],
+            ['record', 'old', 'new']
+        );
+        assert.equal(router.currentRoute().path, 'new');
+    });
+
+    it('reports superseded navigations as cancelled', async () => {
+        const { router, events } = createRecordingRouter();
+        router.beforeEach(async (to) => {
+            if (to.path === 'slow') await flush(10);
+        });
+
+        const slow = router.push('slow');
+        await router.push('fast');
+        await slow;
+
+        const cancelled = events.find(event => event.type === 'navigationCancelled');
+        assert.equal(cancelled.to.path, 'slow');
+        assert.equal(events.findLast(event => event.type === 'navigationEnd').to.path, 'fast');
+    });
+
+    it('reports loading and scrolling', async () => {
+        const scrolled = [];
+        const router   = createRouter({ scrollTo: (position) => scrolled.push(position) }, {
+            mode           : 'memory',
+            routes         : [{ path: 'report', resolve: { rows: () => [1, 2] } }],
+            scrollBehavior : () => ({ top: 120 })
+        });
+        const events = [];
+        router.on('loadStart', event => events.push(event));
+        router.on('scrollRestore', event => events.push(event));
+
+        await router.push('report');
+        await flush();
+
+        assert.deepEqual(events.map(event => event.type), ['loadStart', 'scrollRestore']);
+        assert.equal(events[0].to.path, 'report');
+        assert.equal(events[1].route.path, 'report');
+        assert.equal(events[1].top, 120);
+        assert.deepEqual(scrolled, [{ left: 0, top: 120, behavior: undefined }]);
+    });
+});
+
+describe('router.on()', () => {
+    it('calls { once: true } listeners a single time', async () => {
+        const router = createRouter({}, { mode: 'memory' });
+        const ends   = [];
+        router.on('navigationEnd', event => ends.push(event.to.path), { once: true });
+
+        await router.push('first');
+        await router.push('second');
+
+        assert.deepEqual(ends, ['first']);
+    });
+
+    it('returns an unsubscribe function', async () => {
+        const router = createRouter({}, { mode: 'memory' });
+        const starts = [];
+        const off    = router.on('navigationStart', event => starts.push(event.to.path));
+
+        await router.push('first');
+        off();
+        await router.push('second');
+
+        assert.deepEqual(starts, ['first']);
+    });
+
+    it('rejects unknown event names', () => {
+        const router = createRouter({}, { mode: 'memory' });
+        assert.throws(() => router.on('navigationStrat', () => {}), /Unknown router event "navigationStrat"/);
+    });
+
+    it('keeps navigating when a listener throws', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const router = createRouter({}, { mode: 'memory' });
+        router.on('navigationStart', () => {
+            throw new Error('telemetry down');
+        });
+
+        assert.equal(await router.push('users'), undefined);
+        assert.equal(router.currentRoute().path, 'users');
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    it('drops every listener on destroy', async () => {
+        const router = createRouter({}, { mode: 'memory' });
+        const events = [];
+        router.on('*', event => events.push(event));
+
+        router.destroy();
+        await router.push('users');
+
+        assert.deepEqual(events, []);
+    });
+});
+
+describe('onStatus compatibility', () => {
+    it('derives the status messages from lifecycle events', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const router = createRouter({}, {
+            mode   : 'memory',
+            routes : [{ path: 'report', resolve: { rows: () => [] } }, { path: 'admin' }]
+        });
+        const statuses = [];
+        router.onStatus((status, type) => statuses.push([status, type]));
+        router.beforeEach(to => to.path !== 'admin');
+
+        await router.push('report');
+        await router.push('admin');
+
+        assert.deepEqual(statuses, [
+            ['🔄 Navigating...', 'loading'],
+            ['⏳ Loading...', 'loading'],
+            ['✅ Navigation complete', 'success'],
+            ['🔄 Navigating...', 'loading'],
+            ['❌ Navigation aborted', 'error']
+        ]);
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Minimal browser window for running the router in Node.
+ *
+ * Provides location, history (pushState/replaceState/go), event listeners,
+ * requestAnimationFrame, window scrolling and a document with elements looked up
+ * by id or by simple selectors. Setting location.hash adds an entry and dispatches
+ * "hashchange" asynchronously, like a browser does.
+ */
+export const createFakeWindow = (url = 'http://localhost/') => {
+    const listeners = createListeners();
+    const entries   = [{ url: new URL(url), state: null }];
+    const elements  = new Map();
+    const nodes     = [];
+    let   index     = 0;
+
+    const current  = () => entries[index];
+    const dispatch = listeners.dispatch;
+
+    // Moves to a URL, adding or replacing an entry; hash-only changes fire hashchange
+    const navigate = (href, { replace = false, state = null, silent = false } = {}) => {
+        const previous = current().url;
+        const next     = new URL(href, previous);
+        const entry    = { url: next, state };
+
+        if (replace) {
+            entries[index] = entry;
+        } else {
+            entries.splice(index + 1, entries.length, entry);
+            index = entries.length - 1;
+        }
+
+        const hashOnly = next.href.split('#')[0] === previous.href.split('#')[0];
+        if (!silent && hashOnly && next.hash !== previous.hash) {
+            setTimeout(() => dispatch('hashchange'), 0);
+        }
+    };
+
+    const win = {
+        location: {
+            get href()     { return current().url.href; },
+            get origin()   { return current().url.origin; },
+            get pathname() { return current().url.pathname; },
+            get search()   { return current().url.search; },
+            get hash()     { return current().url.hash; },
+            set hash(hash) { navigate('#' + String(hash).replace(/^#/, '')); },
+            replace(href)  { navigate(href, { replace: true }); }
+        },
+
+        history: {
+            scrollRestoration: 'auto',
+            get length() { return entries.length; },
+            get state()  { return current().state; },
+            pushState(state, title, href = current().url.href) {
+                navigate(href, { state, silent: true });
+            },
+            replaceState(state, title, href = current().url.href) {
+                navigate(href, { state, replace: true, silent: true });
+            },
+            go(delta = 0) {
+                const target = Math.min(Math.max(index + delta, 0), entries.length - 1);
+                if (target === index) return;
+
+                const previous = current().url;
+                index = target;
+                setTimeout(() => {
+                    dispatch('popstate', { state: current().state });
+                    if (current().url.hash !== previous.hash) dispatch('hashchange');
+                }, 0);
+            },
+            back()    { win.history.go(-1); },
+            forward() { win.history.go(1); }
+        },
+
+        pageXOffset : 0,
+        pageYOffset : 0,
+        scrollTo(left, top) {
+            const options    = typeof left === 'object' ? left : { left, top };
+            win.pageXOffset  = options.left ?? win.pageXOffset;
+            win.pageYOffset  = options.top ?? win.pageYOffset;
+        },
+
+        requestAnimationFrame: (callback) => setTimeout(callback, 0),
+
+        addEventListener    : listeners.add,
+        removeEventListener : listeners.remove,
+
+        document: createFakeDocument(elements, nodes),
+
+        // Test helpers
+        dispatch,
+        listenerCount : listeners.count,
+        entries       : () => entries.map(entry => entry.url.href),
+        get entryIndex() { return index; },
+
+        /**
+         * Adds an element the document finds by id; counts scrollIntoView() calls.
+         */
+        addElement(id) {
+            const element = {
+                id,
+                scrolledIntoView      : 0,
+                scrollIntoView()      { element.scrolledIntoView++; },
+                getBoundingClientRect : () => ({ left: 0, top: 0 })
+            };
+            elements.set(id, element);
+            return element;
+        },
+
+        /**
+         * Adds an element with attributes (e.g. { href: '#!/about' }) that
+         * document.querySelectorAll() and event targets' closest() can find.
+         */
+        addNode(tagName, attributes = {}, parent = null) {
+            const node = createElement(tagName, attributes, parent);
+            nodes.push(node);
+            return node;
+        },
+
+        /**
+         * Dispatches a click on the document, like a click bubbling up from target.
+         * Returns the event, so tests can check whether the router prevented it.
+         */
+        click(target, options = {}) {
+            const event = {
+                target,
+                button           : 0,
+                defaultPrevented : false,
+                preventDefault() { event.defaultPrevented = true; },
+                ...options
+            };
+            win.document.dispatch('click', event);
+            return event;
+        }
+    };
+
+    return win;
+};
+
+/**
+ * Element with attributes, a classList and matches()/closest() for simple
+ * selectors: "a", "[data-router-link]", "a[href]" and comma-separated lists of them.
+ */
+const createElement = (tagName, attributes = {}, parent = null) => {
+    const attrs   = new Map(Object.entries(attributes).map(([name, value]) => [name, String(value)]));
+    const classes = new Set();
+
+    const matchesOne = (selector) => {
+        const [, tag, attr] = selector.trim().match(/^([\w-]*)(?:\[([\w-]+)\])?$/) ?? [];
+        if (tag === undefined) throw new Error(`Unsupported selector "${selector}"`);
+        return (!tag || tag.toUpperCase() === element.tagName) && (!attr || attrs.has(attr));
+    };
+
+    const element = {
+        tagName         : tagName.toUpperCase(),
+        parent,
+        getAttribute    : (name) => attrs.get(name) ?? null,
+        hasAttribute    : (name) => attrs.has(name),
+        setAttribute    : (name, value) => attrs.set(name, String(value)),
+        removeAttribute : (name) => attrs.delete(name),
+        classList       : {
+            contains : (name) => classes.has(name),
+            toggle   : (name, force = !classes.has(name)) => {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            }
+        },
+        matches : (selector) => selector.split(',').some(matchesOne),
+        closest : (selector) => {
+            for (let node = element; node; node = node.parent) {
+                if (node.matches(selector)) return node;
+            }
+            return null;
+        }
+    };
+
+    return element;
+};
+
+/**
+ * Document with getElementById over the given elements, querySelectorAll over
+ * the given nodes, and its own listeners.
+ */
+const createFakeDocument = (elements, nodes) => {
+    const listeners = createListeners();
+
+    return {
+        readyState          : 'complete',
+        getElementById      : (id) => elements.get(id) ?? null,
+        querySelectorAll    : (selector) => nodes.filter(node => node.matches(selector)),
+        addEventListener    : listeners.add,
+        removeEventListener : listeners.remove,
+
+        // Test helpers
+        dispatch      : listeners.dispatch,
+        listenerCount : listeners.count
+    };
+};
+
+/**
+ * Event listener registry used by the fake window and document.
+ */
+const createListeners = () => {
+    const listeners = {};
+
+    return {
+        add(type, callback) {
+            (listeners[type] ??= []).push(callback);
+        },
+        remove(type, callback) {
+            listeners[type] = (listeners[type] ?? []).filter(listener => listener !== callback);
+        },
+        dispatch(type, event = {}) {
+            [...(listeners[type] ?? [])].forEach(callback => callback({ type, ...event }));
+        },
+        count: (type) => (listeners[type] ?? []).length
+    };
+};
+
+/**
+ * Resolves once pending timers (hashchange/popstate dispatch, animation frames) have run.
+ * Waits for rounds of zero-delay timers rather than a fixed time, so timers the
+ * router sets along the way always run first, however busy the machine is.
+ */
+export const flush = async (rounds = 5) => {
+    for (let round = 0; round < rounds; round++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+};
@@ -0,0 +1,134 @@
+/**
+ * History mode (pushState/popstate) against a fake window served from /app:
+ * base handling, hrefs, link clicks, back/forward and URL rollback.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, isNavigationFailure, NavigationFailureType } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+let win;
+let router;
+
+/**
+ * Starts a history-mode router with base /app on the given page URL.
+ */
+const startRouter = async (url = 'http://localhost/app/home', options = {}) => {
+    win    = createFakeWindow(url);
+    router = createRouter(win, { mode: 'history', base: '/app', ...options }).start();
+    await flush();
+};
+
+afterEach(() => {
+    router?.destroy();
+    router = null;
+});
+
+describe('base', () => {
+    it('is removed from the URL the router reads', async () => {
+        await startRouter('http://localhost/app/users/42?tab=posts');
+
+        const route = router.currentRoute();
+        assert.equal(route.fullPath, 'users/42?tab=posts');
+        assert.deepEqual(route.query, { tab: ['posts'] });
+        assert.deepEqual(route.params, { tab: ['posts'] });
+    });
+
+    it('reads the base itself as the root route', async () => {
+        await startRouter('http://localhost/app');
+
+        assert.equal(router.currentRoute().path, '');
+    });
+
+    it('is put in front of hrefs and pushed URLs', async () => {
+        await startRouter();
+
+        assert.equal(router.href('users/1?tab=posts'), '/app/users/1?tab=posts');
+        assert.equal(router.resolve('/about').href, '/app/about');
+
+        await router.push('users/1');
+        assert.equal(win.location.pathname, '/app/users/1');
+        assert.equal(win.history.length, 2);
+
+        await router.replace('users/2');
+        assert.equal(win.location.pathname, '/app/users/2');
+        assert.equal(win.history.length, 2);
+    });
+});
+
+describe('links', () => {
+    it('routes links inside the base', async () => {
+        await startRouter(undefined, { links: true });
+        const link = win.addNode('a', { href: '/app/about?tab=team' });
+
+        assert.equal(win.click(link).defaultPrevented, true);
+        await flush();
+
+        assert.equal(router.currentRoute().fullPath, 'about?tab=team');
+        assert.equal(win.location.href, 'http://localhost/app/about?tab=team');
+    });
+
+    it('leaves links outside the base, to other origins and to in-page anchors to the browser', async () => {
+        await startRouter(undefined, { links: true });
+        const links = [
+            win.addNode('a', { href: '/elsewhere' }),
+            win.addNode('a', { href: '/application' }),
+            win.addNode('a', { href: 'https://example.com/app/about' }),
+            win.addNode('a', { href: '#comments' })
+        ];
+
+        for (const link of links) {
+            assert.equal(win.click(link).defaultPrevented, false, link.getAttribute('href'));
+        }
+        await flush();
+        assert.equal(router.currentRoute().path, 'home');
+    });
+});
+
+describe('back and forward', () => {
+    it('follow popstate with the state of the entry', async () => {
+        await startRouter();
+        await router.push('list', { state: { page: 2 } });
+        await router.push('detail');
+
+        router.back();
+        await flush();
+        assert.equal(router.currentRoute().path, 'list');
+        assert.deepEqual(router.currentRoute().state, { page: 2 });
+        assert.equal(router.history.direction(), 'back');
+
+        router.forward();
+        await flush();
+        assert.equal(router.currentRoute().path, 'detail');
+        assert.equal(router.history.direction(), 'forward');
+    });
+
+    it('roll the URL back when a guard blocks them', async () => {
+        await startRouter();
+        await router.push('editor');
+        router.onBeforeLeave(() => false);
+
+        const failure = await router.backOr('/home');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.equal(win.entryIndex, 0);
+        assert.equal(win.location.pathname, '/app/editor');
+        assert.equal(router.currentRoute().path, 'editor');
+    });
+
+    it('replace the entry of a guard redirect', async () => {
+        await startRouter();
+        await router.push('list');
+        await router.push('detail');
+        router.beforeEach(to => (to.path === 'list' ? '/login' : undefined));
+
+        router.back();
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'login');
+        assert.deepEqual(win.entries(), [
+            'http://localhost/app/home', 'http://localhost/app/login', 'http://localhost/app/detail'
+        ]);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * The router's own entry stack: router.history, canGoBack/canGoForward and backOr().
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, isNavigationFailure, NavigationFailureType } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+let router;
+
+afterEach(() => {
+    router?.destroy();
+    router = null;
+});
+
+const paths = () => router.history.entries().map(entry => entry.route.path);
+
+describe('router.history', () => {
+    it('tracks pushed and replaced entries', async () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+
+        await router.push('list');
+        assert.equal(router.history.direction(), 'push');
+
+        await router.push('detail');
+        await router.replace('detail?tab=info');
+        assert.equal(router.history.direction(), 'replace');
+
+        const entries = router.history.entries();
+        assert.deepEqual(paths(), ['home', 'list', 'detail']);
+        assert.equal(entries[2].route.fullPath, 'detail?tab=info');
+        assert.equal(router.history.index(), 2);
+        assert.ok(entries.every(entry => typeof entry.key === 'string' && typeof entry.timestamp === 'number'));
+    });
+
+    it('follows back and forward', async () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        await router.push('list');
+        await router.push('detail');
+
+        await router.go(-2);
+        assert.equal(router.history.index(), 0);
+        assert.equal(router.history.direction(), 'back');
+
+        await router.forward();
+        assert.equal(router.history.index(), 1);
+        assert.equal(router.history.direction(), 'forward');
+    });
+
+    it('drops forward entries when pushing', async () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        await router.push('list');
+        await router.push('detail');
+        await router.back();
+
+        await router.push('settings');
+
+        assert.deepEqual(paths(), ['home', 'list', 'settings']);
+        assert.equal(router.canGoForward(), false);
+    });
+
+    it('is empty until the router starts, and after destroy', () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        assert.deepEqual(router.history.entries(), []);
+
+        router.start();
+        assert.deepEqual(paths(), ['home']);
+
+        router.destroy();
+        assert.deepEqual(router.history.entries(), []);
+    });
+});
+
+describe('canGoBack() and canGoForward()', () => {
+    it('only count entries the router has shown', async () => {
+        const win = createFakeWindow('http://localhost/#!/home');
+        router    = createRouter(win).start();
+        assert.equal(router.canGoBack(), false);
+
+        await router.push('list');
+        assert.equal(router.canGoBack(), true);
+        assert.equal(router.canGoForward(), false);
+
+        router.back();
+        await flush();
+        assert.equal(router.canGoBack(), false);
+        assert.equal(router.canGoForward(), true);
+    });
+
+    it('treats typed URLs as new entries', async () => {
+        const win = createFakeWindow('http://localhost/#!/home');
+        router    = createRouter(win).start();
+
+        win.location.hash = '#!/about';
+        await flush();
+
+        assert.deepEqual(paths(), ['home', 'about']);
+        assert.equal(router.history.direction(), 'push');
+    });
+
+    it('stays in step when a guard blocks back()', async () => {
+        const win = createFakeWindow('http://localhost/#!/home');
+        router    = createRouter(win).start();
+        await router.push('editor');
+        await flush();
+        router.onBeforeLeave(() => false);
+
+        router.back();
+        await flush();
+
+        // The browser is on the first entry, rolled back to show the editor
+        assert.equal(router.history.index(), 0);
+        assert.deepEqual(paths(), ['editor', 'editor']);
+        assert.equal(router.canGoBack(), false);
+    });
+
+    it('follows back onto an entry a guard rolled back to the same hash', async () => {
+        const win = createFakeWindow('http://localhost/#!/home');
+        router    = createRouter(win).start();
+        router.beforeEach(to => to.path !== 'admin');
+        await flush();
+
+        win.location.hash = '#!/admin';
+        await flush();
+        assert.deepEqual(win.entries(), ['http://localhost/#!/home', 'http://localhost/#!/home']);
+
+        // Only popstate fires between two entries with the same hash
+        router.back();
+        await flush();
+
+        assert.equal(win.entryIndex, 0);
+        assert.equal(router.history.index(), 0);
+        assert.equal(router.canGoBack(), false);
+    });
+});
+
+describe('backOr()', () => {
+    it('goes back when the previous entry belongs to the app', async () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'gallery' });
+        await router.push('photos/7');
+
+        assert.equal(await router.backOr('gallery'), undefined);
+        assert.equal(router.currentRoute().path, 'gallery');
+        assert.equal(router.history.direction(), 'back');
+    });
+
+    it('resolves once the browser went back in hash mode', async () => {
+        const win = createFakeWindow('http://localhost/#!/gallery');
+        router    = createRouter(win).start();
+        await router.push('photos/7');
+
+        assert.equal(await router.backOr('gallery'), undefined);
+        assert.equal(router.currentRoute().path, 'gallery');
+        assert.equal(win.location.hash, '#!/gallery');
+    });
+
+    it('resolves to a failure when a guard keeps the page', async () => {
+        const win = createFakeWindow('http://localhost/#!/gallery');
+        router    = createRouter(win).start();
+        await router.push('photos/7');
+        router.onBeforeLeave(() => false);
+
+        const failure = await router.backOr('gallery');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.equal(router.currentRoute().path, 'photos/7');
+    });
+
+    it('resolves after going back onto an entry with the same hash', async () => {
+        const win = createFakeWindow('http://localhost/#!/home');
+        router    = createRouter(win).start();
+        router.beforeEach(to => to.path !== 'admin');
+        await flush();
+
+        win.location.hash = '#!/admin';
+        await flush();
+
+        assert.equal(await router.backOr('/x'), undefined);
+        assert.equal(win.entryIndex, 0);
+        assert.equal(router.currentRoute().path, 'home');
+    });
+
+    it('navigates to the fallback on the first entry', async () => {
+        router = createRouter({}, { mode: 'memory', initialPath: 'photos/7' });
+
+        assert.equal(await router.backOr('/gallery'), undefined);
+        assert.equal(router.currentRoute().path, 'gallery');
+        assert.deepEqual(paths(), ['photos/7', 'gallery']);
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Opt-in link interception (the links option): which clicks are routed,
+ * active link classes, aria-current and hrefs for data-router-link anchors.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+let win;
+let router;
+
+/**
+ * Starts a hash-mode router with link interception on #!/home.
+ */
+const startRouter = async (options = {}) => {
+    win    = createFakeWindow('http://localhost/app/#!/home');
+    router = createRouter(win, { links: true, ...options }).start();
+    await flush();
+};
+
+afterEach(() => {
+    router?.destroy();
+    router = null;
+});
+
+describe('link clicks', () => {
+    it('routes clicks on router links through push()', async () => {
+        await startRouter();
+        const link = win.addNode('a', { href: '#!/about?tab=team' });
+
+        const event = win.click(link);
+        await flush();
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(router.currentRoute().fullPath, 'about?tab=team');
+        assert.equal(win.history.length, 2);
+    });
+
+    it('routes clicks on elements inside a link', async () => {
+        await startRouter();
+        const link = win.addNode('a', { href: '#!/about' });
+        const icon = win.addNode('span', {}, link);
+
+        assert.equal(win.click(icon).defaultPrevented, true);
+        await flush();
+        assert.equal(router.currentRoute().path, 'about');
+    });
+
+    it('leaves modified and non-primary clicks to the browser', async () => {
+        await startRouter();
+        const link = win.addNode('a', { href: '#!/about' });
+
+        for (const options of [{ metaKey: true }, { ctrlKey: true }, { shiftKey: true }, { altKey: true }, { button: 1 }]) {
+            assert.equal(win.click(link, options).defaultPrevented, false, JSON.stringify(options));
+        }
+        assert.equal(win.click(link, { defaultPrevented: true }).defaultPrevented, true);
+        await flush();
+        assert.equal(router.currentRoute().path, 'home');
+    });
+
+    it('leaves links with a target or download attribute to the browser', async () => {
+        await startRouter();
+        const blank    = win.addNode('a', { href: '#!/about', target: '_blank' });
+        const download = win.addNode('a', { href: '#!/report', download: '' });
+        const self     = win.addNode('a', { href: '#!/contact', target: '_self' });
+
+        assert.equal(win.click(blank).defaultPrevented, false);
+        assert.equal(win.click(download).defaultPrevented, false);
+        assert.equal(win.click(self).defaultPrevented, true);
+        await flush();
+        assert.equal(router.currentRoute().path, 'contact');
+    });
+
+    it('skips links inside data-router-ignore', async () => {
+        await startRouter();
+        const widget = win.addNode('div', { 'data-router-ignore': '' });
+        const link   = win.addNode('a', { href: '#!/about' }, widget);
+
+        assert.equal(win.click(link).defaultPrevented, false);
+    });
+
+    it('skips links to other pages', async () => {
+        await startRouter();
+        const other = win.addNode('a', { href: '/elsewhere#!/about' });
+
+        assert.equal(win.click(other).defaultPrevented, false);
+    });
+
+    it('keeps the page when a guard redirects a click to a route that does not exist', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        await startRouter();
+        router.beforeEach((to) => (to.path === 'about' ? { name: 'missing' } : undefined));
+        const link = win.addNode('a', { href: '#!/about' });
+
+        win.click(link);
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(win.location.hash, '#!/home');
+    });
+
+    it('replaces the entry for data-router-replace links', async () => {
+        await startRouter();
+        const link = win.addNode('a', { href: '#!/about', 'data-router-replace': '' });
+
+        win.click(link);
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'about');
+        assert.equal(win.history.length, 1);
+    });
+
+    it('routes data-router-link elements, which win over the href', async () => {
+        await startRouter();
+        const button = win.addNode('button', { 'data-router-link': 'settings' });
+        const link   = win.addNode('a', { href: '#!/about', 'data-router-link': 'users/42' });
+
+        win.click(button);
+        await flush();
+        assert.equal(router.currentRoute().path, 'settings');
+
+        win.click(link);
+        await flush();
+        assert.equal(router.currentRoute().path, 'users/42');
+    });
+});
+
+describe('active links', () => {
+    it('marks exact and parent links, with aria-current on the exact ones', async () => {
+        await startRouter();
+        const links = {
+            home    : win.addNode('a', { href: '#!/home', 'aria-current': 'page' }),
+            parent  : win.addNode('a', { href: '#!/settings' }),
+            exact   : win.addNode('a', { href: '#!/settings/profile?tab=1' }),
+            sibling : win.addNode('a', { href: '#!/settings/billing' })
+        };
+
+        await router.push('settings/profile');
+
+        const state = (el) => [
+            el.classList.contains('router-link-active'),
+            el.classList.contains('router-link-exact-active'),
+            el.getAttribute('aria-current')
+        ];
+        assert.deepEqual(state(links.home), [false, false, null]);
+        assert.deepEqual(state(links.parent), [true, false, null]);
+        assert.deepEqual(state(links.exact), [true, true, 'page']);
+        assert.deepEqual(state(links.sibling), [false, false, null]);
+    });
+
+    it('uses the configured class names', async () => {
+        await startRouter({ links: { activeClass: 'is-active', exactActiveClass: 'is-current' } });
+        const link = win.addNode('a', { href: '#!/about' });
+
+        await router.push('about');
+
+        assert.equal(link.classList.contains('is-active'), true);
+        assert.equal(link.classList.contains('is-current'), true);
+        assert.equal(link.classList.contains('router-link-active'), false);
+    });
+
+    it('gives data-router-link anchors an href, but not other elements', async () => {
+        win = createFakeWindow('http://localhost/app/#!/home');
+        const anchor = win.addNode('a', { 'data-router-link': 'users/42' });
+        const button = win.addNode('button', { 'data-router-link': 'users/42' });
+
+        router = createRouter(win, { links: true }).start();
+
+        assert.equal(anchor.getAttribute('href'), '#!/users/42');
+        assert.equal(button.hasAttribute('href'), false);
+    });
+});
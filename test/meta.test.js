@@ -0,0 +1,140 @@
+/**
+ * Route meta fields and the meta-driven createAuthGuard().
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, createAuthGuard, isNavigationFailure, NavigationFailureType } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+const routes = [
+    { path: 'home' },
+    { path: 'login' },
+    { path: 'forbidden' },
+    {
+        path     : 'admin',
+        meta     : { requiresAuth: true, title: 'Admin', layout: 'wide' },
+        children : [
+            { path: '', meta: { title: 'Dashboard' } },
+            { path: 'users', meta: { title: 'Users', roles: ['admin', 'support'] } },
+            { path: 'billing', meta: { roles: 'admin' } }
+        ]
+    }
+];
+
+/**
+ * Memory-mode router on "home" with the route table above.
+ */
+const createMetaRouter = () => createRouter({}, { mode: 'memory', initialPath: 'home', routes });
+
+describe('route meta', () => {
+    it('merges meta from parent to child', () => {
+        const router = createMetaRouter();
+
+        assert.deepEqual(router.resolve('admin/users').meta, {
+            requiresAuth : true,
+            title        : 'Users',
+            layout       : 'wide',
+            roles        : ['admin', 'support']
+        });
+        assert.deepEqual(router.resolve('admin').meta, { requiresAuth: true, title: 'Dashboard', layout: 'wide' });
+    });
+
+    it('is empty for records without meta and unmatched paths', () => {
+        const router = createMetaRouter();
+
+        assert.deepEqual(router.currentRoute().meta, {});
+        assert.deepEqual(router.resolve('nowhere').meta, {});
+    });
+
+    it('gives every route its own copy', async () => {
+        const router = createMetaRouter();
+        router.beforeEach((to) => {
+            if (to.path === 'admin') to.meta.visited = true;
+        });
+
+        await router.push('admin');
+
+        assert.equal(router.currentRoute().meta.visited, true);
+        assert.equal(router.resolve('admin').meta.visited, undefined);
+        assert.equal(routes[3].meta.visited, undefined);
+    });
+});
+
+describe('createAuthGuard()', () => {
+    it('sends guests to the login route with the requested URL', async () => {
+        const router = createMetaRouter();
+        router.beforeEach(createAuthGuard({ isAuthenticated: () => false }));
+
+        const failure = await router.push('admin/users?page=2');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.redirected));
+        assert.equal(router.currentRoute().path, 'login');
+        assert.deepEqual(router.currentRoute().params, { redirect: ['admin/users?page=2'] });
+    });
+
+    it('checks the URL the page was opened with', async () => {
+        const win    = createFakeWindow('http://localhost/#!/admin/users?page=2');
+        const router = createRouter(win, { routes }).start();
+        const titles = [];
+        router.beforeEach(createAuthGuard({ isAuthenticated: () => false }));
+        router.afterEach(to => titles.push(to.meta.title ?? 'My App'));
+
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'login');
+        assert.deepEqual(win.entries(), ['http://localhost/#!/login?redirect=admin%2Fusers%3Fpage%3D2']);
+        assert.deepEqual(titles, ['My App']);
+        router.destroy();
+    });
+
+    it('lets guests into routes that need no login', async () => {
+        const router = createMetaRouter();
+        router.beforeEach(createAuthGuard({ isAuthenticated: () => false }));
+
+        assert.equal(await router.push('forbidden'), undefined);
+    });
+
+    it('uses the configured login route and query key', async () => {
+        const router = createRouter({}, {
+            mode   : 'memory',
+            routes : [...routes, { path: 'auth/sign-in', name: 'signIn' }]
+        });
+        router.beforeEach(createAuthGuard({
+            isAuthenticated : async () => false,
+            loginRoute      : { name: 'signIn', query: { source: 'guard' } },
+            redirectParam   : 'next'
+        }));
+
+        await router.push('admin');
+
+        assert.equal(router.currentRoute().fullPath, 'auth/sign-in?source=guard&next=admin');
+    });
+
+    it('checks meta.roles against the user roles', async () => {
+        const router = createMetaRouter();
+        router.beforeEach(createAuthGuard({
+            isAuthenticated : () => true,
+            getRoles        : async () => ['support']
+        }));
+
+        assert.equal(await router.push('admin/users'), undefined);
+
+        const failure = await router.push('admin/billing');
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.equal(router.currentRoute().path, 'admin/users');
+    });
+
+    it('redirects users lacking a role to the forbidden route', async () => {
+        const router = createMetaRouter();
+        router.beforeEach(createAuthGuard({
+            isAuthenticated : () => true,
+            getRoles        : () => ['viewer'],
+            forbidden       : '/forbidden'
+        }));
+
+        await router.push('admin/billing');
+
+        assert.equal(router.currentRoute().path, 'forbidden');
+    });
+});
@@ -0,0 +1,605 @@
+/**
+ * Navigation in hash mode against a fake window: guards, URL rollback,
+ * push vs replace, native anchors, start(), aliases and destroy().
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, isNavigationFailure, NavigationFailureType, param } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+let win;
+let router;
+
+/**
+ * Starts a hash-mode router on a fresh fake window, on #!/home.
+ */
+const startRouter = (options = {}) => {
+    win    = createFakeWindow('http://localhost/app/#!/home');
+    router = createRouter(win, options).start();
+    return router;
+};
+
+/**
+ * Changes the hash like a user typing a URL or following a plain link,
+ * then waits for the router to handle the hashchange.
+ */
+const visit = async (hash) => {
+    win.location.hash = hash;
+    await flush();
+};
+
+afterEach(() => {
+    router?.destroy();
+    router = null;
+});
+
+describe('guards', () => {
+    it('runs beforeEach guards for the initial URL, not on registration', async () => {
+        startRouter();
+        const calls = [];
+        router.beforeEach((to, from) => calls.push([to.path, from.path]));
+        assert.deepEqual(calls, []);
+
+        await flush();
+        router.beforeEach(() => calls.push('late'));
+
+        assert.deepEqual(calls, [['home', 'home']]);
+    });
+
+    it('cancels push() when a guard returns false', async () => {
+        startRouter();
+        router.beforeEach((to) => to.path !== 'admin');
+
+        const failure = await router.push('admin');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(win.location.hash, '#!/home');
+        assert.equal(win.history.length, 1);
+    });
+
+    it('reports errors thrown by guards through onStatus', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        startRouter();
+        const statuses = [];
+        router.onStatus((status, type) => statuses.push([status, type]));
+        router.beforeEach((to) => {
+            if (to.path === 'admin') throw new Error('Access denied');
+        });
+
+        const failure = await router.push('admin');
+
+        assert.equal(failure.error.message, 'Access denied');
+        assert.deepEqual(statuses, [['🔄 Navigating...', 'loading'], ['❌ Access denied', 'error']]);
+    });
+
+    it('follows redirects returned by guards', async () => {
+        startRouter();
+        router.beforeEach((to) => (to.path === 'admin' ? '/login?redirect=admin' : undefined));
+
+        const failure = await router.push('admin');
+        await flush();
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.redirected));
+        assert.equal(router.currentRoute().fullPath, 'login?redirect=admin');
+        assert.equal(win.location.hash, '#!/login?redirect=admin');
+    });
+
+    it('aborts when a guard redirects to a route that does not exist', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        startRouter();
+        router.beforeEach((to) => (to.path === 'admin' ? { name: 'missing' } : undefined));
+
+        const failure = await router.push('admin');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.equal(failure.error.message, 'No route named "missing"');
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    it('waits for async guards and lets only the latest navigation complete', async () => {
+        startRouter();
+        router.beforeEach(async (to) => {
+            if (to.path === 'slow') await flush(20);
+        });
+
+        const slow = router.push('slow');
+        const fast = router.push('fast');
+
+        assert.equal(await fast, undefined);
+        assert.ok(isNavigationFailure(await slow, NavigationFailureType.cancelled));
+        assert.equal(router.currentRoute().path, 'fast');
+    });
+
+    it('runs record guards before beforeEach: leave child to parent, update, enter parent to child', async () => {
+        const calls = [];
+        const log   = (name) => (to, from) => {
+            calls.push(`${name} ${from.path} → ${to.path}`);
+        };
+        router = createRouter({}, {
+            mode        : 'memory',
+            initialPath : 'app/inbox/message',
+            routes      : [{
+                path         : 'app',
+                beforeEnter  : log('enter app'),
+                beforeUpdate : log('update app'),
+                beforeLeave  : log('leave app'),
+                children     : [
+                    { path: 'inbox', beforeLeave: log('leave inbox'), children: [
+                        { path: 'message', beforeLeave: log('leave message'), beforeUpdate: log('update message') }
+                    ] },
+                    { path: 'settings', beforeEnter: log('enter settings'), children: [
+                        { path: 'profile', beforeEnter: [log('enter profile'), log('enter profile 2')] }
+                    ] }
+                ]
+            }]
+        });
+        router.beforeEach(log('beforeEach'));
+        router.onBeforeLeave(log('onBeforeLeave'));
+
+        await router.push('app/settings/profile');
+
+        const step = 'app/inbox/message → app/settings/profile';
+        assert.deepEqual(calls, [
+            `onBeforeLeave ${step}`,
+            `leave message ${step}`,
+            `leave inbox ${step}`,
+            `update app ${step}`,
+            `enter settings ${step}`,
+            `enter profile ${step}`,
+            `enter profile 2 ${step}`,
+            `beforeEach ${step}`
+        ]);
+    });
+
+    it('runs beforeUpdate on the kept record when only its params change', async () => {
+        const calls = [];
+        router = createRouter({}, {
+            mode        : 'memory',
+            initialPath : 'users/1',
+            routes      : [{
+                path         : 'users/:id',
+                beforeEnter  : () => calls.push('enter'),
+                beforeLeave  : () => calls.push('leave'),
+                beforeUpdate : (to, from) => calls.push(`update ${from.pathParams.id} → ${to.pathParams.id}`)
+            }, { path: 'home' }]
+        });
+
+        await router.push('users/2');
+        await router.push('home');
+
+        assert.deepEqual(calls, ['update 1 → 2', 'leave']);
+    });
+});
+
+describe('URL rollback', () => {
+    it('rolls the hash back when a guard blocks a typed URL', async () => {
+        startRouter();
+        router.beforeEach((to) => to.path !== 'admin');
+
+        await visit('#!/admin');
+
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(win.location.hash, '#!/home');
+        assert.equal(win.history.length, 2);
+    });
+
+    it('rolls the hash back when a guard throws', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        startRouter();
+        router.beforeEach((to) => {
+            if (to.path === 'broken') throw new Error('boom');
+        });
+
+        await visit('#!/broken');
+
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(win.location.hash, '#!/home');
+    });
+
+    it('keeps the current route when back() is blocked', async () => {
+        startRouter();
+        await router.push('editor');
+        await flush();
+        router.onBeforeLeave(() => false);
+
+        router.back();
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'editor');
+        assert.equal(win.location.hash, '#!/editor');
+    });
+
+    it('replaces the entry of a guard-redirected typed URL', async () => {
+        startRouter();
+        router.beforeEach((to) => (to.path === 'admin' ? 'login' : undefined));
+
+        await visit('#!/admin');
+
+        assert.equal(router.currentRoute().path, 'login');
+        assert.deepEqual(win.entries(), ['http://localhost/app/#!/home', 'http://localhost/app/#!/login']);
+    });
+
+    it('processes a typed URL once the guards allow it', async () => {
+        startRouter();
+        await flush();
+        const visited = [];
+        router.afterEach((to) => visited.push(to.fullPath));
+
+        await visit('#!/users?id=7');
+
+        assert.deepEqual(visited, ['users?id=7']);
+        assert.deepEqual(router.getTypedParams(), { id: [7] });
+    });
+});
+
+describe('push() and replace()', () => {
+    it('push() adds a history entry', async () => {
+        startRouter();
+
+        await router.push('first');
+        await router.push('second');
+        await flush();
+
+        assert.equal(win.history.length, 3);
+        assert.equal(win.entryIndex, 2);
+        assert.equal(router.previousRoute().path, 'first');
+    });
+
+    it('replace() swaps the current entry and keeps its key', async () => {
+        startRouter();
+        await router.push('first');
+        await flush();
+        const key = win.history.state.key;
+
+        await router.replace('second');
+        await flush();
+
+        assert.equal(win.history.length, 2);
+        assert.equal(win.location.hash, '#!/second');
+        assert.equal(win.history.state.key, key);
+    });
+
+    it('back() returns to the entry push() left', async () => {
+        startRouter();
+        await router.push('first');
+        await router.replace('second');
+        await flush();
+
+        router.back();
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'home');
+    });
+
+    it('does not navigate to the route that is already showing', async () => {
+        startRouter();
+        const failure = await router.push('/home');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.duplicated));
+        assert.equal(win.history.length, 1);
+    });
+});
+
+describe('entry state', () => {
+    it('exposes push() state as route.state and brings it back on back/forward', async () => {
+        startRouter();
+        await router.push('photos/7', { state: { modal: true, from: 'gallery' } });
+        await flush();
+
+        assert.deepEqual(router.currentRoute().state, { modal: true, from: 'gallery' });
+        assert.deepEqual(win.history.state.state, { modal: true, from: 'gallery' });
+
+        router.back();
+        await flush();
+        assert.equal(router.currentRoute().state, null);
+
+        router.forward();
+        await flush();
+        assert.equal(router.currentRoute().path, 'photos/7');
+        assert.deepEqual(router.currentRoute().state, { modal: true, from: 'gallery' });
+    });
+
+    it('stores replace() state with the entry it replaces', async () => {
+        startRouter();
+        const key = win.history.state.key;
+
+        await router.replace('compose', { state: { draft: 'Hello' } });
+        await flush();
+
+        assert.equal(win.history.length, 1);
+        assert.equal(win.history.state.key, key);
+        assert.deepEqual(router.currentRoute().state, { draft: 'Hello' });
+    });
+
+    it('passes the state to guards and keeps it across redirects', async () => {
+        startRouter();
+        const seen = [];
+        router.beforeEach((to) => {
+            if (to.path !== 'home') seen.push([to.path, to.state]);
+            if (to.path === 'old') return 'new';
+        });
+
+        await router.push('old', { state: { id: 1 } });
+
+        assert.deepEqual(seen, [['old', { id: 1 }], ['new', { id: 1 }]]);
+        assert.deepEqual(router.currentRoute().state, { id: 1 });
+    });
+
+    it('keeps state with entries in history and memory mode', async () => {
+        for (const mode of ['history', 'memory']) {
+            startRouter({ mode, initialPath: 'home' });
+            await router.push('cart', { state: { step: 2 } });
+            await router.push('checkout');
+
+            await router.back();
+            await flush();
+
+            assert.deepEqual(router.currentRoute().state, { step: 2 }, `${mode} mode`);
+            router.destroy();
+        }
+    });
+
+    it('is the same state for route.state and getEntryState()/setEntryState()', async () => {
+        startRouter();
+        await router.push('list', { state: { x: 1 } });
+        assert.deepEqual(router.getEntryState(), { x: 1 });
+
+        router.setEntryState({ y: 2 });
+        assert.deepEqual(router.currentRoute().state, { y: 2 });
+        assert.deepEqual(win.history.state.state, { y: 2 });
+
+        const listKey = router.history.entries()[1].key;
+        await router.push('detail');
+        assert.deepEqual(router.getEntryState(listKey), { y: 2 });
+
+        router.back();
+        await flush();
+        assert.deepEqual(router.currentRoute().state, { y: 2 });
+    });
+
+    it('hands entry state to the persistence adapter', async () => {
+        const saved   = [];
+        const storage = { load: () => null, save: data => saved.push(data) };
+        router = createRouter({}, { mode: 'memory', initialPath: 'home', persist: { storage } });
+
+        await router.push('cart', { state: { step: 2 } });
+        const cartKey = router.history.entries()[1].key;
+        assert.deepEqual(saved.at(-1)[cartKey].state, { step: 2 });
+
+        router.setEntryState({ step: 3 });
+        assert.deepEqual(saved.at(-1)[cartKey].state, { step: 3 });
+    });
+
+    it('restores state from the persistence adapter when the history entry has none', async () => {
+        const storage = {
+            load : () => ({ 'entry-1': { state: { draft: 'Hello' }, updatedAt: 1 } }),
+            save : () => {}
+        };
+        win = createFakeWindow('http://localhost/app/#!/editor');
+        win.history.replaceState({ key: 'entry-1' }, '');
+
+        router = createRouter(win, { persist: { storage } }).start();
+        await flush();
+
+        assert.deepEqual(router.currentRoute().state, { draft: 'Hello' });
+        assert.deepEqual(router.getEntryState('entry-1'), { draft: 'Hello' });
+    });
+
+    it('keeps entry data in memory when sessionStorage is blocked', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        win = createFakeWindow('http://localhost/app/#!/home');
+        Object.defineProperty(win, 'sessionStorage', {
+            get() {
+                throw new Error('The operation is insecure.');
+            }
+        });
+
+        router = createRouter(win, { persist: true }).start();
+        win.scrollTo(0, 300);
+        router.saveScrollPosition();
+        win.scrollTo(0, 0);
+        router.restoreScrollPosition();
+        await flush();
+
+        assert.equal(win.pageYOffset, 300);
+        assert.equal(logged.mock.callCount(), 1);
+    });
+});
+
+describe('native anchors', () => {
+    it('scrolls to #section links without changing the route', async () => {
+        startRouter();
+        await flush();
+        const section  = win.addElement('pricing');
+        const statuses = [];
+        router.onStatus(status => statuses.push(status));
+
+        await visit('#pricing');
+        await flush();
+
+        assert.equal(section.scrolledIntoView, 1);
+        assert.equal(router.currentRoute().path, 'home');
+        assert.deepEqual(statuses, []);
+    });
+
+    it('routes again when leaving the anchor', async () => {
+        startRouter();
+        win.addElement('pricing');
+
+        await visit('#pricing');
+        await visit('#!/about');
+
+        assert.equal(router.currentRoute().path, 'about');
+    });
+});
+
+describe('start()', () => {
+    it('navigates to the initial URL', async () => {
+        startRouter();
+        const visited = [];
+        router.afterEach((to, from) => visited.push([to.path, from.path]));
+
+        await flush();
+
+        assert.deepEqual(visited, [['home', 'home']]);
+        assert.equal(router.currentRoute().navigation.direction, 'push');
+        assert.deepEqual(win.entries(), ['http://localhost/app/#!/home']);
+    });
+
+    it('checks the initial URL against param schemas', async () => {
+        win    = createFakeWindow('http://localhost/app/#!/users/abc');
+        router = createRouter(win, {
+            routes: [{ path: 'users/:id', params: { id: param.int() }, onInvalidParams: 'not-found' }]
+        }).start();
+
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'not-found');
+        assert.deepEqual(win.entries(), ['http://localhost/app/#!/not-found']);
+    });
+
+    it('follows record redirects from the initial URL', async () => {
+        win    = createFakeWindow('http://localhost/app/#!/legacy?tab=2');
+        router = createRouter(win, {
+            routes: [{ path: 'legacy', redirect: 'login' }, { path: 'login' }]
+        }).start();
+
+        await flush();
+
+        assert.equal(router.currentRoute().fullPath, 'login?tab=2');
+        assert.equal(router.currentRoute().redirectedFrom.path, 'legacy');
+        assert.deepEqual(win.entries(), ['http://localhost/app/#!/login?tab=2']);
+    });
+
+    it('loads the components and data of the initial route', async () => {
+        const User = { name: 'User' };
+        win    = createFakeWindow('http://localhost/app/#!/users/7');
+        router = createRouter(win, {
+            routes: [{
+                path      : 'users/:id',
+                component : async () => ({ default: User }),
+                resolve   : { user: async (to) => ({ id: to.pathParams.id }) }
+            }]
+        }).start();
+
+        await flush();
+
+        assert.equal(router.currentRoute().component, User);
+        assert.deepEqual(router.currentRoute().data, { user: { id: '7' } });
+    });
+
+    it('stays on an unresolved route when a guard aborts the initial navigation', async () => {
+        startRouter();
+        router.beforeEach(to => to.path !== 'home');
+
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(router.currentRoute().navigation, undefined);
+    });
+});
+
+describe('aliases', () => {
+    it('match the aliased record and keep the URL', async () => {
+        startRouter({ routes: [{ path: 'users/:id', name: 'user', alias: 'u/:id' }] });
+
+        await router.push('u/42?tab=posts');
+
+        const route = router.currentRoute();
+        assert.equal(route.fullPath, 'u/42?tab=posts');
+        assert.equal(route.record.name, 'user');
+        assert.deepEqual(route.pathParams, { id: '42' });
+        assert.equal(route.redirectedFrom, undefined);
+        assert.equal(win.location.hash, '#!/u/42?tab=posts');
+    });
+
+    it('can be a list', async () => {
+        startRouter({ routes: [{ path: 'users/:id', name: 'user', alias: ['u/:id', 'people/:id'] }] });
+
+        for (const url of ['users/1', 'u/2', 'people/3']) {
+            assert.equal(router.resolve(url).record?.name, 'user', url);
+        }
+    });
+
+    it('cover the children of an aliased parent', () => {
+        const routes = [{
+            path     : 'settings',
+            alias    : 'prefs',
+            children : [{ path: '', name: 'settings' }, { path: 'profile', name: 'profile' }]
+        }];
+        startRouter({ routes });
+
+        const route = router.resolve('prefs/profile');
+        assert.equal(route.record.name, 'profile');
+        assert.deepEqual(route.matched.map(record => record.path), ['settings', 'profile']);
+        assert.equal(router.resolve('prefs').record.name, 'settings');
+    });
+
+    it('are never used to build named route URLs', () => {
+        startRouter({
+            routes: [{
+                path     : 'users/:id',
+                name     : 'user',
+                alias    : ['u/:id'],
+                children : [{ path: 'posts', name: 'posts' }]
+            }]
+        });
+
+        assert.equal(router.href({ name: 'user', params: { id: 7 } }), '#!/users/7');
+        assert.equal(router.href({ name: 'posts', params: { id: 7 } }), '#!/users/7/posts');
+    });
+});
+
+describe('destroy()', () => {
+    it('removes the window and document listeners', () => {
+        startRouter({ links: true, scrollBehavior: () => false });
+
+        router.destroy();
+
+        for (const type of ['hashchange', 'popstate', 'scroll', 'pagehide']) {
+            assert.equal(win.listenerCount(type), 0, `${type} listener left behind`);
+        }
+        assert.equal(win.document.listenerCount('click'), 0);
+        assert.equal(win.history.scrollRestoration, 'auto');
+    });
+
+    it('ignores URL changes and drops every callback', async () => {
+        startRouter();
+        const calls = [];
+        router.beforeEach((to) => {
+            if (to.path !== 'home') calls.push('guard');
+        });
+        router.afterEach(() => calls.push('after'));
+        router.onStatus(() => calls.push('status'));
+        router.onScroll(() => calls.push('scroll'));
+
+        router.destroy();
+        await visit('#!/elsewhere');
+        win.dispatch('scroll');
+
+        assert.deepEqual(calls, []);
+        assert.equal(router.currentRoute().path, 'home');
+    });
+
+    it('cancels the navigation in flight', async () => {
+        startRouter();
+        router.beforeEach(() => flush(20));
+
+        const pending = router.push('slow');
+        router.destroy();
+
+        assert.ok(isNavigationFailure(await pending, NavigationFailureType.cancelled));
+        assert.equal(win.location.hash, '#!/home');
+    });
+
+    it('refuses to start again', () => {
+        startRouter();
+        router.destroy();
+        router.start();
+
+        assert.equal(win.listenerCount('hashchange'), 0);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Parameter parsing, type coercion and query string building.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, paramsToObj, coerceValue, coerceParams, stringifyParams } from '../src/router.js';
+
+describe('paramsToObj', () => {
+    it('maps every key to an array of its values', () => {
+        const params = new URLSearchParams('category=books&category=electronics&sort=price');
+        assert.deepEqual(paramsToObj(params), { category: ['books', 'electronics'], sort: ['price'] });
+    });
+
+    it('decodes values and keeps empty ones', () => {
+        const params = new URLSearchParams('q=hello%20world&name=J%C3%BCrgen&flag=&plus=a+b');
+        assert.deepEqual(paramsToObj(params), { q: ['hello world'], name: ['Jürgen'], flag: [''], plus: ['a b'] });
+    });
+
+    it('returns an empty object for an empty query', () => {
+        assert.deepEqual(paramsToObj(new URLSearchParams('')), {});
+    });
+
+    it('is the inverse of the repeat query format', () => {
+        const query = { tag: ['a', 'b'], page: ['2'] };
+        assert.deepEqual(paramsToObj(new URLSearchParams(stringifyParams(query))), query);
+    });
+});
+
+describe('coerceValue', () => {
+    it('converts booleans, null and undefined', () => {
+        assert.equal(coerceValue('true'), true);
+        assert.equal(coerceValue('false'), false);
+        assert.equal(coerceValue('null'), null);
+        assert.equal(coerceValue('undefined'), undefined);
+    });
+
+    it('converts integers and floats', () => {
+        assert.equal(coerceValue('42'), 42);
+        assert.equal(coerceValue('-7'), -7);
+        assert.equal(coerceValue('45000.50'), 45000.5);
+        assert.equal(coerceValue('0'), 0);
+    });
+
+    it('keeps everything else as a string', () => {
+        assert.equal(coerceValue('hello'), 'hello');
+        assert.equal(coerceValue('12abc'), '12abc');
+        assert.equal(coerceValue('True'), 'True');
+    });
+
+    it('keeps empty and blank strings instead of turning them into 0', () => {
+        assert.equal(coerceValue(''), '');
+        assert.equal(coerceValue('   '), '   ');
+    });
+});
+
+describe('coerceParams', () => {
+    it('coerces every value of every key', () => {
+        const params = { id: ['123'], tags: ['1', 'two', 'true'] };
+        assert.deepEqual(coerceParams(params), { id: [123], tags: [1, 'two', true] });
+    });
+
+    it('leaves the raw params untouched', () => {
+        const params = { id: ['123'] };
+        coerceParams(params);
+        assert.deepEqual(params, { id: ['123'] });
+    });
+});
+
+describe('stringifyParams', () => {
+    it('writes arrays in the given query format', () => {
+        const params = { tags: ['a', 'b'], page: 2 };
+        assert.equal(stringifyParams(params), 'tags=a&tags=b&page=2');
+        assert.equal(stringifyParams(params, 'bracket'), 'tags[]=a&tags[]=b&page=2');
+        assert.equal(stringifyParams(params, 'comma'), 'tags=a,b&page=2');
+        assert.equal(stringifyParams(params, (key, values) => [[key, values.join('|')]]), 'tags=a%7Cb&page=2');
+    });
+
+    it('uses bracket keys for nested objects and indexes objects inside arrays', () => {
+        const params = { filter: { price: { min: 10, max: undefined }, brand: ['acme'] }, items: [{ id: 1 }, { id: 2 }] };
+        assert.equal(stringifyParams(params), 'filter[price][min]=10&filter[brand]=acme&items[0][id]=1&items[1][id]=2');
+    });
+
+    it('skips undefined values, also inside arrays', () => {
+        assert.equal(stringifyParams({ a: undefined, b: [undefined, 'x'], c: null }), 'b=x&c=null');
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => stringifyParams({ a: ['1'] }, 'semicolon'), /Unknown query format "semicolon"/);
+    });
+});
+
+describe('updateQuery() and updateParams()', () => {
+    const createShopRouter = (initialPath, options = {}) => {
+        return createRouter({}, { mode: 'memory', initialPath, routes: [{ path: 'users/:id/:tab?' }], ...options });
+    };
+
+    it('patches the query in place, keeping the key order', async () => {
+        const router = createShopRouter('shop?q=shoes&page=3&size=42');
+
+        await router.updateQuery({ page: undefined, color: 'red', q: 'boots' });
+
+        assert.equal(router.currentRoute().fullPath, 'shop?q=boots&size=42&color=red');
+    });
+
+    it('replaces every key a nested patch produced before', async () => {
+        const router = createShopRouter('shop?filter[price][min]=10&filter[price][max]=50&q=x&filter[brand]=acme');
+
+        await router.updateQuery({ filter: { price: { min: 20 } } });
+
+        assert.equal(router.currentRoute().fullPath, 'shop?filter[price][min]=20&q=x');
+    });
+
+    it('uses the router query format unless the call overrides it', async () => {
+        const router = createShopRouter('shop?tags[]=a', { queryFormat: 'bracket' });
+
+        await router.updateQuery({ tags: ['a', 'b'] });
+        assert.equal(router.currentRoute().fullPath, 'shop?tags[]=a&tags[]=b');
+
+        await router.updateQuery({ tags: ['c', 'd'], 'tags[]': undefined }, { format: 'comma' });
+        assert.equal(router.currentRoute().fullPath, 'shop?tags=c,d');
+    });
+
+    it('adds or replaces history entries', async () => {
+        const router = createShopRouter('shop');
+
+        await router.updateQuery({ page: 2 });
+        await router.updateQuery({ page: 3 }, { replace: true });
+
+        assert.deepEqual(router.history.entries().map(entry => entry.route.fullPath), ['shop', 'shop?page=3']);
+    });
+
+    it('rebuilds the path for keys naming dynamic segments', async () => {
+        const router = createShopRouter('users/42/posts?sort=new');
+
+        await router.updateParams({ id: 43, tab: 'likes', sort: undefined, page: 2 });
+        assert.equal(router.currentRoute().fullPath, 'users/43/likes?page=2');
+
+        await router.updateParams({ tab: undefined });
+        assert.equal(router.currentRoute().fullPath, 'users/43?page=2');
+    });
+
+    it('rejects when a required segment is removed', async () => {
+        const router = createShopRouter('users/42');
+
+        await assert.rejects(router.updateParams({ id: undefined }), /Missing required param "id"/);
+        assert.equal(router.currentRoute().path, 'users/42');
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Per-route param schemas: param types, defaults, and what happens to invalid navigations.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, param, isNavigationFailure, NavigationFailureType } from '../src/router.js';
+
+/**
+ * Memory-mode router on "home" with a single record using the given schema.
+ */
+const createSchemaRouter = (params, record = {}) => createRouter({}, {
+    mode        : 'memory',
+    initialPath : 'home',
+    routes      : [{ path: 'items/:id', params, ...record }, { path: 'home' }, { path: 'not-found' }]
+});
+
+describe('param types', () => {
+    it('accepts only exact integers', () => {
+        const router = createSchemaRouter({ id: param.int() });
+
+        assert.deepEqual(router.resolve('items/-42').validated, { id: -42 });
+        for (const raw of ['1e3', '4.5', '0x1f', '12abc']) {
+            assert.deepEqual(router.resolve(`items/${raw}`).paramErrors, [
+                { key: 'id', value: raw, message: 'expected an integer' }
+            ], raw);
+        }
+    });
+
+    it('keeps strings as they are, unlike coerceValue', () => {
+        const router = createSchemaRouter({ id: param.string() });
+        const route  = router.resolve('items/007');
+
+        assert.deepEqual(route.validated, { id: '007' });
+        assert.equal(route.pathParamsTyped.id, '007');
+    });
+
+    it('parses floats, booleans, enums and dates', () => {
+        const router = createSchemaRouter({
+            id   : 'int',
+            min  : param.float(),
+            open : param.boolean(),
+            sort : param.enum(['price', 'rating']),
+            from : param.date()
+        });
+        const route = router.resolve('items/1?min=.5&open=0&sort=rating&from=2024-05-01');
+
+        assert.deepEqual(route.validated, {
+            id   : 1,
+            min  : 0.5,
+            open : false,
+            sort : 'rating',
+            from : new Date('2024-05-01')
+        });
+        assert.deepEqual(router.resolve('items/1?min=1.&open=yes&sort=name&from=soon').paramErrors.map(error => error.message), [
+            'expected a boolean', 'expected one of price, rating', 'expected a date'
+        ]);
+    });
+
+    it('parses every value with arrayOf', () => {
+        const router = createSchemaRouter({ tags: param.arrayOf(param.int()) }, { path: 'items' });
+
+        assert.deepEqual(router.resolve('items?tags=1&tags=2').validated, { tags: [1, 2] });
+        assert.deepEqual(router.resolve('items?tags=1&tags=x').paramErrors, [
+            { key: 'tags', value: ['1', 'x'], message: 'expected an integer' }
+        ]);
+    });
+
+    it('fills in defaults and leaves optional keys out', () => {
+        const router = createSchemaRouter({
+            id   : param.int(),
+            page : param.int({ default: 1 }),
+            q    : param.string({ optional: true }),
+            tags : param.arrayOf(param.string(), { default: [] })
+        });
+
+        assert.deepEqual(router.resolve('items/3').validated, { id: 3, page: 1, tags: [] });
+        assert.deepEqual(router.resolve('items/3?page=4&q=x').validated, { id: 3, page: 4, q: 'x', tags: [] });
+    });
+
+    it('reports missing required keys', () => {
+        const router = createSchemaRouter({ id: 'int', page: 'int' });
+
+        assert.deepEqual(router.resolve('items/3').paramErrors, [{ key: 'page', value: undefined, message: 'is required' }]);
+    });
+});
+
+describe('invalid params', () => {
+    it('abort the navigation before any guard runs', async () => {
+        const router = createSchemaRouter({ id: param.int() });
+        const guards = [];
+        router.beforeEach(to => guards.push(to.path));
+
+        const failure = await router.push('items/abc');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.deepEqual(failure.error.errors, [{ key: 'id', value: 'abc', message: 'expected an integer' }]);
+        assert.deepEqual(guards, []);
+        assert.equal(router.currentRoute().path, 'home');
+    });
+
+    it('redirect to onInvalidParams', async () => {
+        const router = createSchemaRouter({ id: param.int() }, { onInvalidParams: { path: 'not-found' } });
+
+        const failure = await router.push('items/abc');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.redirected));
+        assert.equal(router.currentRoute().path, 'not-found');
+    });
+
+    it('let an onInvalidParams function decide', async () => {
+        const seen   = [];
+        const router = createSchemaRouter({ id: param.int() }, {
+            onInvalidParams: (to, errors) => {
+                seen.push(errors.map(({ key }) => key));
+                return false;
+            }
+        });
+
+        const failure = await router.push('items/abc');
+
+        assert.ok(isNavigationFailure(failure, NavigationFailureType.aborted));
+        assert.deepEqual(seen, [['id']]);
+        assert.equal(router.currentRoute().path, 'home');
+    });
+});
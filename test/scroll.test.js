@@ -0,0 +1,85 @@
+/**
+ * Scroll containers: panes registered with registerScrollContainer() are captured
+ * with every history entry and restored along with the window.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../src/router.js';
+import { createFakeWindow, flush } from './helpers/fake-window.js';
+
+let win;
+let router;
+
+/**
+ * Starts a hash-mode router on #!/home.
+ */
+const startRouter = async () => {
+    win    = createFakeWindow('http://localhost/app/#!/home');
+    router = createRouter(win).start();
+    await flush();
+};
+
+/**
+ * Scrollable element as far as the router is concerned.
+ */
+const createPane = (scrollTop = 0) => ({ scrollLeft: 0, scrollTop });
+
+afterEach(() => {
+    router?.destroy();
+    router = null;
+});
+
+describe('registerScrollContainer()', () => {
+    it('captures a pane with the entry and restores it on back', async () => {
+        await startRouter();
+        const pane     = createPane();
+        const captures = [];
+        router.registerScrollContainer('sidebar', pane);
+        router.onScroll(data => data.type === 'capture' && captures.push(data.containers));
+
+        pane.scrollTop = 250;
+        await router.push('detail');
+        pane.scrollTop = 0;
+
+        router.back();
+        await flush();
+
+        assert.deepEqual(captures[0], { sidebar: { left: 0, top: 250 } });
+        assert.equal(pane.scrollTop, 250);
+    });
+
+    it('looks a re-rendered pane up through a getter', async () => {
+        await startRouter();
+        let pane = createPane(400);
+        router.registerScrollContainer('list', () => pane);
+
+        await router.push('detail');
+        pane = null;                                    // Not rendered on this route
+        await router.push('other');
+
+        router.go(-2);
+        pane = createPane();                            // Rendered again by the time the route shows
+        await flush();
+
+        assert.equal(router.currentRoute().path, 'home');
+        assert.equal(pane.scrollTop, 400);
+    });
+
+    it('stops capturing a pane once it is unregistered', async () => {
+        await startRouter();
+        const pane       = createPane(120);
+        const captures   = [];
+        const unregister = router.registerScrollContainer('sidebar', pane);
+        router.onScroll(data => data.type === 'capture' && captures.push(data.containers));
+
+        unregister();
+        await router.push('detail');
+        pane.scrollTop = 0;
+        router.back();
+        await flush();
+
+        assert.deepEqual(captures[0], {});
+        assert.equal(pane.scrollTop, 0);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Navigation direction, onTransition hooks and View Transitions.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, isNavigationFailure, NavigationFailureType } from '../src/router.js';
+import { flush } from './helpers/fake-window.js';
+
+/**
+ * Document with a minimal startViewTransition() that, like a browser,
+ * runs the update callback asynchronously after capturing the old screen.
+ */
+const createTransitionDocument = (log) => ({
+    transitions: [],
+    startViewTransition(update) {
+        log.push('view transition');
+        const transition = {
+            types              : new Set(),
+            updateCallbackDone : new Promise(resolve => setTimeout(resolve, 0)).then(update)
+        };
+        this.transitions.push(transition);
+        return transition;
+    }
+});
+
+describe('navigation direction', () => {
+    it('is set on every navigation', async () => {
+        const router     = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        const directions = [];
+        router.afterEach(to => directions.push(to.navigation.direction));
+
+        await router.push('list');
+        await router.push('detail');
+        await router.replace('detail?tab=info');
+        await router.back();
+        await router.forward();
+
+        assert.deepEqual(directions, ['push', 'push', 'replace', 'back', 'forward']);
+        assert.equal(router.currentRoute().navigation.direction, 'forward');
+    });
+
+    it('is known to guards', async () => {
+        const router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        await router.push('list');
+        const seen = [];
+        router.beforeEach((to) => {
+            if (to.path === 'home') seen.push(to.navigation.direction);
+        });
+
+        await router.back();
+
+        assert.deepEqual(seen, ['back']);
+    });
+});
+
+describe('onTransition()', () => {
+    it('is awaited between the guards and afterEach', async () => {
+        const router = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        const log    = [];
+        router.beforeEach(to => {
+            if (to.path !== 'home') log.push('guard');
+        });
+        router.onTransition(async (to, from, { direction, abortSignal }) => {
+            log.push(`transition ${from.path} → ${to.path} (${direction})`);
+            assert.equal(abortSignal.aborted, false);
+            await flush();
+            assert.equal(router.currentRoute().path, 'home');
+            log.push('transition done');
+        });
+        router.afterEach(to => log.push(`after ${to.path}`));
+
+        await router.push('list');
+
+        assert.deepEqual(log, ['guard', 'transition home → list (push)', 'transition done', 'after list']);
+    });
+
+    it('aborts for a newer navigation, which takes over', async () => {
+        const router  = createRouter({}, { mode: 'memory', initialPath: 'home' });
+        const signals = [];
+        router.onTransition((to, from, { abortSignal }) => {
+            signals.push(abortSignal);
+            if (to.path === 'slow') return new Promise(() => {});
+        });
+
+        const slow = router.push('slow');
+        await flush();
+        await router.push('fast');
+
+        assert.ok(isNavigationFailure(await slow, NavigationFailureType.cancelled));
+        assert.equal(signals[0].aborted, true);
+        assert.equal(router.currentRoute().path, 'fast');
+    });
+
+    it('keeps navigating when a hook throws', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const router = createRouter({}, { mode: 'memory' });
+        router.onTransition(() => {
+            throw new Error('animation failed');
+        });
+
+        assert.equal(await router.push('users'), undefined);
+        assert.equal(router.currentRoute().path, 'users');
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    it('returns an unsubscribe function', async () => {
+        const router = createRouter({}, { mode: 'memory' });
+        const calls  = [];
+        const off    = router.onTransition(to => calls.push(to.path));
+
+        await router.push('first');
+        off();
+        await router.push('second');
+
+        assert.deepEqual(calls, ['first']);
+    });
+});
+
+describe('viewTransition option', () => {
+    it('swaps the route inside a view transition typed with the direction', async () => {
+        const log      = [];
+        const document = createTransitionDocument(log);
+        const router   = createRouter({ document }, { mode: 'memory', initialPath: 'home', viewTransition: true });
+        router.onTransition(() => log.push('transition hook'));
+        router.afterEach(to => log.push(`after ${to.path}`));
+
+        await router.push('list');
+        await router.back();
+
+        assert.deepEqual(log, [
+            'transition hook', 'view transition', 'after list',
+            'transition hook', 'view transition', 'after home'
+        ]);
+        assert.deepEqual(document.transitions.map(transition => [...transition.types]), [['push'], ['back']]);
+    });
+
+    it('swaps the route directly without View Transitions support', async () => {
+        const router = createRouter({ document: {} }, { mode: 'memory', viewTransition: true });
+
+        assert.equal(await router.push('list'), undefined);
+        assert.equal(router.currentRoute().path, 'list');
+    });
+
+    it('is off by default', async () => {
+        const log    = [];
+        const router = createRouter({ document: createTransitionDocument(log) }, { mode: 'memory' });
+
+        await router.push('list');
+
+        assert.deepEqual(log, []);
+    });
+});